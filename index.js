@@ -5,6 +5,8 @@
  * Access Dropbox files, folders, and Paper documents.
  * Uses PAVE sandbox with secure OAuth token handling.
  * Compatible with SpiderMonkey sandbox (no optional chaining, no async/await).
+ * The one exception is the browser redirect of `auth login`, which needs
+ * Node's event loop; in the sandbox it falls back to pasting the code.
  */
 
 var fs = require('fs');
@@ -17,11 +19,15 @@ var path = require('path');
  * blank lines between paragraphs and merges numbered list content.
  * Converting to HTML with explicit <p> tags and &nbsp; spacers
  * preserves the intended formatting.
+ *
+ * Supported: headings, paragraphs with inline formatting (bold, italic,
+ * strikethrough, `code`, links, images), nested bullet/numbered lists,
+ * `- [ ]` checklists, fenced code blocks, blockquotes, horizontal rules
+ * and pipe tables.
  */
 function markdownToDropboxHtml(md) {
-  var lines = md.split('\n');
+  var lines = md.replace(/\r\n/g, '\n').split('\n');
   var html = [];
-  var inList = false;
   var i = 0;
   
   while (i < lines.length) {
@@ -38,11 +44,28 @@ function markdownToDropboxHtml(md) {
       continue;
     }
     
+    // Fenced code block: ``` or ~~~, optionally with a language
+    var fenceMatch = trimmed.match(/^(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/);
+    if (fenceMatch) {
+      var fence = fenceMatch[1];
+      var fenceIndent = line.length - trimmed.length;
+      var codeLines = [];
+      i++;
+      while (i < lines.length && lines[i].replace(/^\s+/, '').indexOf(fence) !== 0) {
+        codeLines.push(lines[i].slice(Math.min(fenceIndent, lines[i].match(/^\s*/)[0].length)));
+        i++;
+      }
+      i++; // skip closing fence
+      var langAttr = fenceMatch[2] ? ' class="language-' + escapeHtml(fenceMatch[2]) + '"' : '';
+      html.push('<pre><code' + langAttr + '>' + escapeHtml(codeLines.join('\n')) + '</code></pre>');
+      continue;
+    }
+    
     // Heading lines: # ## ### etc
-    var headingMatch = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    var headingMatch = trimmed.match(/^(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
     if (headingMatch) {
       var level = headingMatch[1].length;
-      html.push('<h' + level + '>' + escapeHtml(headingMatch[2]) + '</h' + level + '>');
+      html.push('<h' + level + '>' + renderInline(headingMatch[2]) + '</h' + level + '>');
       i++;
       continue;
     }
@@ -61,6 +84,17 @@ function markdownToDropboxHtml(md) {
       i++;
       continue;
     }
+    
+    // Blockquote: consecutive "> " lines, rendered recursively
+    if (trimmed.charAt(0) === '>') {
+      var quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*> ?/, ''));
+        i++;
+      }
+      html.push('<blockquote>' + markdownToDropboxHtml(quoted.join('\n')) + '</blockquote>');
+      continue;
+    }
 
     // Markdown table:
     //   | h1 | h2 |
@@ -70,105 +104,50 @@ function markdownToDropboxHtml(md) {
       var sepLine = lines[i + 1].replace(/^\s+/, '');
       var sepRe = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)+\|?\s*$/;
       if (sepRe.test(sepLine)) {
-        var splitRow = function(row) {
-          var s = row.replace(/^\s*\|/, '').replace(/\|\s*$/, '');
-          return s.split('|').map(function(c) { return c.replace(/^\s+|\s+$/g, ''); });
-        };
-        var renderCell = function(text) {
-          var t = escapeHtml(text);
-          t = t.replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>');
-          t = t.replace(/\*([^*]+)\*/g, '<i>$1</i>');
-          t = t.replace(/__([^_]+)__/g, '<b>$1</b>');
-          t = t.replace(/_([^_]+)_/g, '<i>$1</i>');
-          return t;
-        };
-        var headers = splitRow(trimmed);
+        var headers = splitTableRow(trimmed);
         i += 2; // skip header + separator
         var rows = [];
         while (i < lines.length) {
           var rowLine = lines[i].replace(/^\s+/, '');
           if (rowLine.charAt(0) !== '|') break;
-          rows.push(splitRow(rowLine));
+          rows.push(splitTableRow(rowLine));
           i++;
         }
-        // Emit Dropbox Paper "native" editable table markup.
-        // Key structure (reverse-engineered from existing Paper docs):
-        //   <div style="width:100%;overflow:auto;">
-        //     <table style="width:100%;border-spacing:0;border:1px solid #c1c7cd;word-break:break-word;">
-        //       <tbody>
-        //         <tr>
-        //           <td style="...per-side border widths...">
-        //             <div dir="auto" style="line-height:26px;" class="ace-line "><span>cell</span></div>
-        //           </td>
-        //         </tr>
-        //       </tbody>
-        //     </table>
-        //   </div>
-        // Border rules: first row TD top=0; all TDs bottom=0, right=0; first col TD left=0, others left=1;
-        // non-first row TDs top=1.
-        var tdStyle = function(rowIdx, colIdx) {
-          var top = rowIdx === 0 ? 0 : 1;
-          var left = colIdx === 0 ? 0 : 1;
-          return 'border-color: #c1c7cd;border-style: solid;'
-            + 'border-top-width: ' + top + ';'
-            + 'border-bottom-width: 0;'
-            + 'border-right-width: 0;'
-            + 'border-left-width: ' + left + ';'
-            + 'min-width: 50px;min-height: 20px;padding: 5px 8px;'
-            + 'word-break: normal;vertical-align: top;';
-        };
-        var wrapCell = function(text) {
-          return '<div dir="auto" style="line-height: 26px;" class="ace-line "><span>'
-            + renderCell(text) + '</span></div>';
-        };
-        var allRows = [headers].concat(rows);
-        var tbl = ['<div style="width: 100%; overflow: auto;">'];
-        tbl.push('<table style="width: 100%;border-spacing: 0;border: 1px solid #c1c7cd;word-break: break-word;">');
-        tbl.push('<tbody>');
-        for (var rr = 0; rr < allRows.length; rr++) {
-          tbl.push('<tr>');
-          for (var cc = 0; cc < allRows[rr].length; cc++) {
-            // Bold the entire header row
-            var cellText = allRows[rr][cc];
-            if (rr === 0 && cellText.length > 0) cellText = '**' + cellText.replace(/\*\*/g, '') + '**';
-            tbl.push('<td style="' + tdStyle(rr, cc) + '">' + wrapCell(cellText) + '</td>');
-          }
-          tbl.push('</tr>');
-        }
-        tbl.push('</tbody></table></div>');
-        html.push(tbl.join(''));
+        html.push(renderPaperTable([headers].concat(rows)));
         continue;
       }
     }
     
-    // Ordered list item: "1. Text" or "    1. Text" (sub-item)
-    var olMatch = line.match(/^(\s*)(\d+)\.\s+(.*)$/);
-    if (olMatch) {
-      var indent = olMatch[1].length;
-      var text = olMatch[3];
-      // Main list items (no indent) - render as bold numbered paragraph
-      // Sub-list items (indented) - render with indent
-      if (indent >= 4) {
-        // Sub-item under a list item - indent with nbsp
-        var indentStr = '';
-        for (var s = 0; s < indent; s++) indentStr += '&nbsp;';
-        html.push('<p>' + indentStr + olMatch[2] + '. ' + escapeHtml(text) + '</p>');
-      } else {
-        html.push('<p>' + olMatch[2] + '. ' + escapeHtml(text) + '</p>');
+    // Bullet, numbered and checklist items, including nested levels
+    if (matchListItem(line)) {
+      var items = [];
+      while (i < lines.length) {
+        var item = matchListItem(lines[i]);
+        if (item) {
+          items.push(item);
+          i++;
+          continue;
+        }
+        if (lines[i].replace(/^\s+/, '') === '') {
+          // A blank line only continues the list if another item follows
+          var next = i + 1;
+          while (next < lines.length && lines[next].replace(/^\s+/, '') === '') next++;
+          if (next < lines.length && matchListItem(lines[next])) {
+            i = next;
+            continue;
+          }
+          break;
+        }
+        // Indented text under an item is a continuation of that item
+        var last = items[items.length - 1];
+        if (indentWidth(lines[i]) > last.indent && !/^\s*(#|\||>|```|~~~)/.test(lines[i])) {
+          last.text += ' ' + lines[i].replace(/^\s+|\s+$/g, '');
+          i++;
+          continue;
+        }
+        break;
       }
-      i++;
-      continue;
-    }
-    
-    // Unordered list item: "- Text" or "* Text"
-    var ulMatch = line.match(/^(\s*)[-*]\s+(.*)$/);
-    if (ulMatch) {
-      var ulIndent = ulMatch[1].length;
-      var ulText = ulMatch[2];
-      var ulIndentStr = '';
-      for (var u = 0; u < ulIndent; u++) ulIndentStr += '&nbsp;';
-      html.push('<p>' + ulIndentStr + '- ' + escapeHtml(ulText) + '</p>');
-      i++;
+      html.push(renderList(items));
       continue;
     }
     
@@ -179,19 +158,13 @@ function markdownToDropboxHtml(md) {
       var indentContent = indentedMatch[2];
       var nbspIndent = '';
       for (var n = 0; n < spaces; n++) nbspIndent += '&nbsp;';
-      html.push('<p>' + nbspIndent + escapeHtml(indentContent) + '</p>');
+      html.push('<p>' + nbspIndent + renderInline(indentContent) + '</p>');
       i++;
       continue;
     }
     
-    // Bold text: **text**
-    // Regular paragraph
-    var paragraphText = escapeHtml(trimmed);
-    // Process inline formatting
-    paragraphText = paragraphText.replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>');
-    paragraphText = paragraphText.replace(/\*([^*]+)\*/g, '<i>$1</i>');
-    paragraphText = paragraphText.replace(/__([^_]+)__/g, '<b>$1</b>');
-    paragraphText = paragraphText.replace(/_([^_]+)_/g, '<i>$1</i>');
+    // Regular paragraph with inline formatting
+    var paragraphText = renderInline(trimmed);
     
     // Preserve leading whitespace for non-indented but spaced lines
     var leadingSpaces = line.match(/^(\s*)/)[1].length;
@@ -208,575 +181,5213 @@ function markdownToDropboxHtml(md) {
   return html.join('\n');
 }
 
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+/**
+ * Render inline markdown: `code`, links, images, autolinks, backslash
+ * escapes, **bold**, *italic*, ~~strikethrough~~. Everything else is escaped.
+ */
+function renderInline(text) {
+  var stash = [];
+  
+  // Finished HTML fragments are swapped out for placeholders so later
+  // patterns (and escaping) cannot touch them
+  function keep(fragment) {
+    stash.push(fragment);
+    return '\u0000' + (stash.length - 1) + '\u0000';
+  }
+  
+  function render(s) {
+    // Code spans first: nothing inside them is formatted
+    s = s.replace(/(`+)(.+?)\1(?!`)/g, function(m, ticks, code) {
+      return keep('<code>' + escapeHtml(code.replace(/^ (.*) $/, '$1')) + '</code>');
+    });
+    s = s.replace(/\\([\\`*_{}\[\]()#+\-.!~|<>])/g, function(m, ch) {
+      return keep(escapeHtml(ch));
+    });
+    s = s.replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, function(m, alt, src) {
+      return keep('<img src="' + escapeHtml(src) + '" alt="' + escapeHtml(alt) + '" />');
+    });
+    s = s.replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, function(m, label, href) {
+      return keep('<a href="' + escapeHtml(href) + '">' + render(label) + '</a>');
+    });
+    s = s.replace(/<((?:https?|mailto):[^>\s]+)>/g, function(m, href) {
+      return keep('<a href="' + escapeHtml(href) + '">' + escapeHtml(href) + '</a>');
+    });
+    
+    s = escapeHtml(s);
+    s = s.replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<b>$1</b>');
+    s = s.replace(/__(?=\S)([^_]*?\S)__/g, '<b>$1</b>');
+    s = s.replace(/\*(?=\S)([^*]*?\S)\*/g, '<i>$1</i>');
+    // _italic_ only at word boundaries so snake_case names survive
+    s = s.replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<i>$2</i>');
+    s = s.replace(/~~(?=\S)([^~]*?\S)~~/g, '<del>$1</del>');
+    return s;
+  }
+  
+  var html = render(String(text));
+  // Placeholders can nest (a code span inside a link label)
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, function(m, n) { return stash[parseInt(n, 10)]; });
+  }
+  return html;
+}
+
+// Split a pipe table row into trimmed cells, honouring escaped \| pipes
+function splitTableRow(row) {
+  var s = row.replace(/^\s*\|/, '').replace(/\|\s*$/, '');
+  var cells = [];
+  var cell = '';
+  for (var i = 0; i < s.length; i++) {
+    if (s.charAt(i) === '\\' && s.charAt(i + 1) === '|') {
+      cell += '\\|';
+      i++;
+    } else if (s.charAt(i) === '|') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += s.charAt(i);
+    }
+  }
+  cells.push(cell);
+  return cells.map(function(c) { return c.replace(/^\s+|\s+$/g, ''); });
 }
 
 /**
- * Safe nested property access (replaces optional chaining)
+ * Emit Dropbox Paper "native" editable table markup.
+ * Key structure (reverse-engineered from existing Paper docs):
+ *   <div style="width:100%;overflow:auto;">
+ *     <table style="width:100%;border-spacing:0;border:1px solid #c1c7cd;word-break:break-word;">
+ *       <tbody>
+ *         <tr>
+ *           <td style="...per-side border widths...">
+ *             <div dir="auto" style="line-height:26px;" class="ace-line "><span>cell</span></div>
+ *           </td>
+ *         </tr>
+ *       </tbody>
+ *     </table>
+ *   </div>
+ * Border rules: first row TD top=0; all TDs bottom=0, right=0; first col TD left=0, others left=1;
+ * non-first row TDs top=1.
+ *
+ * @param {Array} allRows - Header row followed by body rows, as cell text
  */
-function safeGet(obj, path, defaultVal) {
-  if (!obj) return defaultVal;
-  var parts = path.split('.');
-  var current = obj;
-  for (var i = 0; i < parts.length; i++) {
-    if (current === null || current === undefined) return defaultVal;
-    current = current[parts[i]];
+function renderPaperTable(allRows) {
+  var tdStyle = function(rowIdx, colIdx) {
+    var top = rowIdx === 0 ? 0 : 1;
+    var left = colIdx === 0 ? 0 : 1;
+    return 'border-color: #c1c7cd;border-style: solid;'
+      + 'border-top-width: ' + top + ';'
+      + 'border-bottom-width: 0;'
+      + 'border-right-width: 0;'
+      + 'border-left-width: ' + left + ';'
+      + 'min-width: 50px;min-height: 20px;padding: 5px 8px;'
+      + 'word-break: normal;vertical-align: top;';
+  };
+  var wrapCell = function(text) {
+    return '<div dir="auto" style="line-height: 26px;" class="ace-line "><span>'
+      + renderInline(text) + '</span></div>';
+  };
+  var tbl = ['<div style="width: 100%; overflow: auto;">'];
+  tbl.push('<table style="width: 100%;border-spacing: 0;border: 1px solid #c1c7cd;word-break: break-word;">');
+  tbl.push('<tbody>');
+  for (var rr = 0; rr < allRows.length; rr++) {
+    tbl.push('<tr>');
+    for (var cc = 0; cc < allRows[rr].length; cc++) {
+      // Bold the entire header row
+      var cellText = allRows[rr][cc];
+      if (rr === 0 && cellText.length > 0) cellText = '**' + cellText.replace(/\*\*/g, '') + '**';
+      tbl.push('<td style="' + tdStyle(rr, cc) + '">' + wrapCell(cellText) + '</td>');
+    }
+    tbl.push('</tr>');
   }
-  return current !== undefined ? current : defaultVal;
+  tbl.push('</tbody></table></div>');
+  return tbl.join('');
 }
 
-// Parse command line arguments  
-var args = process.argv.slice(2);
+// Leading whitespace width, counting a tab as four spaces
+function indentWidth(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
 
-function parseArgs() {
-  var parsed = {
-    command: null,
-    positional: [],
-    options: {}
+/**
+ * Parse a list item line ("- x", "* x", "+ x", "1. x", "1) x", "- [ ] x").
+ * @returns {object|null} { indent, ordered, start, task, checked, text }
+ */
+function matchListItem(line) {
+  var m = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+  if (!m) return null;
+  var item = {
+    indent: indentWidth(m[1]),
+    ordered: /\d/.test(m[2]),
+    start: parseInt(m[2], 10),
+    task: false,
+    checked: false,
+    text: m[3]
   };
+  var task = !item.ordered && item.text.match(/^\[([ xX])\]\s+(.*)$/);
+  if (task) {
+    item.task = true;
+    item.checked = task[1] !== ' ';
+    item.text = task[2];
+  }
+  return item;
+}
+
+/**
+ * Render list items as nested <ul>/<ol> elements. A deeper indent opens a
+ * list inside the current <li>; a shallower one closes lists until the
+ * indent matches. Checklists use the list classes Paper itself emits for
+ * task lists (listtype-task / listtype-taskdone).
+ */
+function renderList(items) {
+  var out = [];
+  var stack = [];
   
-  for (var i = 0; i < args.length; i++) {
-    var arg = args[i];
-    if (arg.charAt(0) === '-') {
-      if (arg.charAt(1) === '-') {
-        // Long option
-        var eqIdx = arg.indexOf('=');
-        var key, value;
-        if (eqIdx > 0) {
-          key = arg.slice(2, eqIdx);
-          value = arg.slice(eqIdx + 1);
-        } else {
-          key = arg.slice(2);
-          if (i + 1 < args.length && args[i + 1].charAt(0) !== '-') {
-            value = args[i + 1];
-            i++;
-          } else {
-            value = true;
-          }
-        }
-        parsed.options[key] = value;
-      } else {
-        // Short option
-        var flag = arg.slice(1);
-        if (i + 1 < args.length && args[i + 1].charAt(0) !== '-') {
-          parsed.options[flag] = args[i + 1];
-          i++;
-        } else {
-          parsed.options[flag] = true;
-        }
-      }
+  for (var i = 0; i < items.length; i++) {
+    var item = items[i];
+    var tag = item.ordered ? 'ol' : 'ul';
+    var kind = item.task ? (item.checked ? 'taskdone' : 'task') : tag;
+    
+    while (stack.length && item.indent < stack[stack.length - 1].indent) {
+      out.push('</li></' + stack.pop().tag + '>');
+    }
+    
+    var top = stack[stack.length - 1];
+    if (top && item.indent === top.indent && top.kind === kind) {
+      out.push('</li>');
     } else {
-      if (parsed.command === null) {
-        parsed.command = arg;
-      } else {
-        parsed.positional.push(arg);
+      if (top && item.indent === top.indent) {
+        // Same level but a different kind of list: close it and start anew
+        out.push('</li></' + stack.pop().tag + '>');
       }
+      var depth = stack.length + 1;
+      var attrs = '';
+      if (item.task) {
+        attrs = ' class="listtype-' + kind + ' listindent' + depth + ' list-' + kind + depth + '"';
+      } else if (item.ordered && item.start !== 1) {
+        attrs = ' start="' + item.start + '"';
+      }
+      out.push('<' + tag + attrs + '>');
+      stack.push({ indent: item.indent, tag: tag, kind: kind });
     }
+    out.push('<li>' + renderInline(item.text));
   }
   
-  return parsed;
+  while (stack.length) {
+    out.push('</li></' + stack.pop().tag + '>');
+  }
+  return out.join('');
 }
 
-// Dropbox Client Class
-function DropboxClient() {
-  this.apiUrl = 'https://api.dropboxapi.com/2';
-  this.contentUrl = 'https://content.dropboxapi.com/2';
-  this.timeout = 30000;
+/**
+ * Remove the leading "# Title" line that Paper's markdown export adds.
+ * Paper takes the title from the file name, so writing the export back
+ * unchanged would duplicate it.
+ */
+function stripPaperTitle(md, docPath) {
+  var title = path.posix.basename(docPath).replace(/\.paper$/i, '');
+  var lines = md.split('\n');
+  var first = 0;
+  while (first < lines.length && lines[first].replace(/\s+/g, '') === '') first++;
+  var heading = first < lines.length && lines[first].match(/^#\s+(.*?)\s*$/);
+  if (!heading || normalizeHeading(heading[1]) !== normalizeHeading(title)) {
+    return md;
+  }
+  lines.splice(0, first + 1);
+  while (lines.length && lines[0].replace(/\s+/g, '') === '') lines.shift();
+  return lines.join('\n');
+}
+
+// Lower-case heading text without markdown emphasis or extra whitespace
+function normalizeHeading(text) {
+  return String(text).replace(/[*_`~]/g, '').replace(/\s+/g, ' ').replace(/^\s+|\s+$/g, '').toLowerCase();
+}
+
+// "Risks" matches the heading "1.2 Risks"; a numbered segment such as
+// "1.2 Risks" has to match exactly
+function headingMatches(headingText, segment) {
+  var heading = normalizeHeading(headingText);
+  var wanted = normalizeHeading(segment);
+  var stripNumber = function(s) { return s.replace(/^\d+(\.\d+)*\.?\s+/, ''); };
+  return heading === wanted || (stripNumber(wanted) === wanted && stripNumber(heading) === wanted);
 }
 
 /**
- * Make an authenticated request (uses secure token system)
+ * List the markdown headings outside fenced code blocks
+ * @returns {Array} [{ line, level, text }]
  */
-DropboxClient.prototype.authenticatedRequest = function(url, options) {
-  options = options || {};
-  
-  // Use secure token system (handles all token management automatically)
-  return proxyFetch('dropbox', url, options);
-};
+function findHeadings(lines) {
+  var headings = [];
+  var fence = null;
+  for (var i = 0; i < lines.length; i++) {
+    var trimmed = lines[i].replace(/^\s+/, '');
+    var fenceMatch = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (trimmed.indexOf(fence) === 0) {
+        fence = null;
+      }
+      continue;
+    }
+    var m = !fence && trimmed.match(/^(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+    if (m) {
+      headings.push({ line: i, level: m[1].length, text: m[2] });
+    }
+  }
+  return headings;
+}
 
 /**
- * Make an RPC-style request to Dropbox API
+ * Replace, append to or prepend to the body of one section of a markdown
+ * document. The section is found by heading text or by a path of headings
+ * separated by ">" (e.g. "Q3 > Risks"); path segments must appear as
+ * ancestors in that order but intermediate levels may be skipped.
+ *
+ * @param {string} md - Markdown document
+ * @param {string} sectionPath - Heading text or "Parent > Child" path
+ * @param {string} content - Markdown to insert
+ * @param {string} mode - 'replace', 'append' or 'prepend'
+ * @returns {string} The edited document
  */
-DropboxClient.prototype.request = function(endpoint, body) {
-  var url = this.apiUrl + endpoint;
-  
-  var options = {
-    method: 'POST',
-    headers: {},
-    timeout: this.timeout
-  };
+function editMarkdownSection(md, sectionPath, content, mode) {
+  var lines = md.split('\n');
+  var headings = findHeadings(lines);
+  var segments = String(sectionPath).split('>').map(function(seg) { return seg.replace(/^\s+|\s+$/g, ''); });
   
-  if (body !== null && body !== undefined) {
-    options.headers['Content-Type'] = 'application/json';
-    options.body = JSON.stringify(body);
+  var matches = [];
+  var ancestors = [];
+  for (var h = 0; h < headings.length; h++) {
+    var heading = headings[h];
+    while (ancestors.length && ancestors[ancestors.length - 1].level >= heading.level) {
+      ancestors.pop();
+    }
+    if (headingMatches(heading.text, segments[segments.length - 1])) {
+      // Walk the remaining segments up through the ancestors
+      var seg = segments.length - 2;
+      for (var a = ancestors.length - 1; a >= 0 && seg >= 0; a--) {
+        if (headingMatches(ancestors[a].text, segments[seg])) seg--;
+      }
+      if (seg < 0) {
+        matches.push(h);
+      }
+    }
+    ancestors.push(heading);
   }
   
-  var response = this.authenticatedRequest(url, options);
-  var text = response.text();
+  if (matches.length === 0) {
+    throw typedError('not_found', 'Section not found: "' + sectionPath + '". Headings: ' +
+      headings.map(function(hd) { return hd.text; }).join(', '));
+  }
+  if (matches.length > 1) {
+    throw typedError('invalid_argument', 'Section "' + sectionPath + '" matches ' + matches.length +
+      ' headings; use a path such as "Parent > ' + segments[segments.length - 1] + '"');
+  }
   
-  if (!response.ok) {
-    var data;
-    try {
-      data = JSON.parse(text);
-    } catch (e) {
-      data = { error: text };
+  var target = headings[matches[0]];
+  var start = target.line + 1;
+  var end = lines.length;
+  for (var n = matches[0] + 1; n < headings.length; n++) {
+    if (headings[n].level <= target.level) {
+      end = headings[n].line;
+      break;
     }
-    var errMsg = data.error_summary || data.error_description || 
-                 safeGet(data, 'error.message', null) || text || 'API request failed';
-    var err = new Error(errMsg);
-    err.status = response.status;
-    err.data = data;
-    throw err;
   }
   
-  return text ? JSON.parse(text) : {};
-};
+  var insert = content.replace(/\s+$/, '').split('\n');
+  var body = lines.slice(start, end);
+  // Keep the blank lines that separate this section from the next heading
+  var trailing = [];
+  while (body.length && body[body.length - 1].replace(/\s+/g, '') === '') {
+    trailing.unshift(body.pop());
+  }
+  if (end < lines.length && trailing.length === 0) {
+    trailing.push('');
+  }
+  
+  var newBody;
+  if (mode === 'replace') {
+    newBody = insert;
+  } else if (mode === 'append') {
+    newBody = body.concat(body.length ? [''] : [], insert);
+  } else if (mode === 'prepend') {
+    while (body.length && body[0].replace(/\s+/g, '') === '') body.shift();
+    newBody = insert.concat(body.length ? [''] : [], body);
+  } else {
+    throw typedError('invalid_argument', 'Unknown section edit mode "' + mode + '" (use replace, append or prepend)');
+  }
+  
+  return lines.slice(0, start).concat(newBody, trailing, lines.slice(end)).join('\n');
+}
 
 /**
- * Make a content download request using a temporary link.
- *
- * The PAVE proxy's _domain routing for content.dropboxapi.com is unreliable
- * (~80% failure rate). Instead, we use /files/get_temporary_link (which works
- * reliably on the API domain) to get a short-lived direct download URL, then
- * fetch the file content from dl.dropboxusercontent.com via the proxy.
+ * Turn exported Paper content (markdown or HTML) back into idiomatic
+ * markdown, so that `read` followed by `paper-update` does not degrade
+ * the document each cycle.
  *
- * For _saveTo mode, we download to a temp file first then move it to the
- * target path to avoid writing partial/error content to the destination.
+ * HTML (a full export, or table/list markup embedded in a markdown export)
+ * is converted element by element: Paper's flat listindentN lists become
+ * nested lists and ace-line tables become pipe tables. The markdown is then
+ * tidied: &nbsp; indents and spacer paragraphs are collapsed, unneeded
+ * backslash escapes dropped and list indentation normalised.
  *
- * @param {string} endpoint - API endpoint (e.g. '/files/download')
- * @param {object} apiArg - Dropbox-API-Arg value (must include 'path')
- * @param {string} [saveTo] - If provided, save to this file path
+ * @param {string} content - Exported markdown or HTML
+ * @param {object} [options] - { docPath } strips the title heading Paper adds
+ * @returns {string} Markdown
  */
-DropboxClient.prototype.downloadRequest = function(endpoint, apiArg, saveTo) {
-  var filePath = apiArg && apiArg.path;
-  if (!filePath) {
-    throw new Error('Download requires a file path');
+function paperToMarkdown(content, options) {
+  options = options || {};
+  var md = /^\s*(<!DOCTYPE|<html|<body|<head)/i.test(content)
+    ? htmlToMarkdown(content)
+    : cleanMarkdown(content);
+  if (options.docPath) {
+    md = stripPaperTitle(md, options.docPath);
   }
+  return md;
+}
 
-  // Step 1: Get a temporary download link via the API domain (reliable)
-  var linkResult = this.request('/files/get_temporary_link', { path: filePath });
-  var downloadUrl = linkResult.link;
-
-  // Step 2: Download the file content from the temporary link
-  if (saveTo) {
-    // Save directly using curl (no proxy needed for dl.dropboxusercontent.com)
-    var tmpFile = saveTo + '.download';
-    var curlCmd = 'curl -sS -L --max-time 60 -o ' + _shellQuote(tmpFile) + ' ' + _shellQuote(downloadUrl);
-    var curlResult;
-    try {
-      curlResult = require('child_process').execSync(curlCmd, {
-        encoding: 'utf8', timeout: 65000, maxBuffer: 10 * 1024 * 1024,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-    } catch (err) {
-      // curl may exit with non-zero on some errors but file might still exist
-    }
+var HTML_VOID_TAGS = ['br', 'img', 'hr', 'meta', 'link', 'input', 'col', 'wbr', 'base'];
+var HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', bull: '•', middot: '·', copy: '©' };
 
-    // Verify the downloaded file
-    if (!fs.existsSync(tmpFile)) {
-      throw new Error('Download failed: temporary file not created');
-    }
-    var stats = fs.statSync(tmpFile);
-    if (stats.size < 50) {
-      // Check if it's an HTML error page
-      var peek = fs.readFileSync(tmpFile, { encoding: 'utf8', length: 50 });
-      fs.unlinkSync(tmpFile);
-      if (peek.indexOf('<!DOCTYPE') !== -1 || peek.indexOf('<html') !== -1) {
-        throw new Error('Download failed: received HTML error page instead of file content');
-      }
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(m, name) {
+    if (name.charAt(0) === '#') {
+      var code = name.charAt(1).toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCharCode(code);
     }
+    return HTML_ENTITIES.hasOwnProperty(name.toLowerCase()) ? HTML_ENTITIES[name.toLowerCase()] : m;
+  });
+}
 
-    // Move temp file to final destination
-    if (fs.existsSync(saveTo)) {
-      fs.unlinkSync(saveTo);
-    }
-    fs.renameSync(tmpFile, saveTo);
+/**
+ * Parse HTML into a light tree of { tag, attrs, children } and text nodes.
+ * Forgiving rather than strict: unmatched close tags are ignored and
+ * unclosed elements end with their parent.
+ */
+function parseHtml(html) {
+  var root = { tag: '#root', attrs: {}, children: [] };
+  var stack = [root];
+  var tokenRe = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+  var last = 0;
+  var m;
 
-    return { ok: true, status: 200, savedTo: saveTo,
-      headers: { get: function() { return null; } },
-      text: function() { return ''; }, json: function() { return {}; } };
+  function text(s) {
+    if (s) stack[stack.length - 1].children.push({ text: decodeEntities(s) });
   }
 
-  // No saveTo: return content in memory
-  var memCmd = 'curl -sS -L --max-time 60 ' + _shellQuote(downloadUrl);
-  var content;
-  try {
-    content = require('child_process').execSync(memCmd, {
-      encoding: 'utf8', timeout: 65000, maxBuffer: 100 * 1024 * 1024,
-      stdio: ['pipe', 'pipe', 'pipe']
+  while ((m = tokenRe.exec(html)) !== null) {
+    text(html.slice(last, m.index));
+    last = tokenRe.lastIndex;
+    if (!m[2]) continue; // comment or doctype
+
+    var tag = m[2].toLowerCase();
+    if (m[1]) {
+      for (var d = stack.length - 1; d > 0; d--) {
+        if (stack[d].tag === tag) {
+          stack.length = d;
+          break;
+        }
+      }
+      continue;
+    }
+
+    var attrs = {};
+    (m[3] || '').replace(/([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g, function(a, name, dq, sq, bare) {
+      attrs[name.toLowerCase()] = decodeEntities(dq !== undefined ? dq : sq !== undefined ? sq : bare || '');
     });
-  } catch (err) {
-    var stderr = err.stderr ? err.stderr.toString() : '';
-    throw new Error('Download failed: ' + (stderr || err.message));
+    var node = { tag: tag, attrs: attrs, children: [] };
+    stack[stack.length - 1].children.push(node);
+
+    if (tag === 'script' || tag === 'style' || tag === 'title') {
+      // Raw text elements: skip to the matching close tag
+      var close = html.toLowerCase().indexOf('</' + tag, last);
+      last = close === -1 ? html.length : close;
+      tokenRe.lastIndex = last;
+    } else if (HTML_VOID_TAGS.indexOf(tag) === -1 && !m[4]) {
+      stack.push(node);
+    }
   }
+  text(html.slice(last));
+  return root;
+}
 
-  // Parse the Dropbox-API-Result header from the metadata (not available in
-  // temp link approach, but we have the metadata from get_temporary_link)
-  var metadata = linkResult.metadata || {};
-  var metadataJson = JSON.stringify(metadata);
+// Text content of a node with whitespace preserved (for <pre>)
+function htmlText(node) {
+  if (node.text !== undefined) return node.text;
+  if (node.tag === 'br') return '\n';
+  var s = node.children.map(htmlText).join('');
+  return /^(div|p|li|tr)$/.test(node.tag) ? s + '\n' : s;
+}
 
-  return { ok: true, status: 200,
-    headers: { get: function(name) {
-      if (name && name.toLowerCase() === 'dropbox-api-result') return metadataJson;
-      return null;
-    } },
-    text: function() { return content; },
-    json: function() { return JSON.parse(content || '{}'); } };
-};
+// Escape characters that would otherwise start markdown formatting
+function escapeMarkdownText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/([*`\[\]])/g, '\\$1')
+    .replace(/(^|[^\w])_|_(?![\w])/g, function(m) { return m.replace('_', '\\_'); });
+}
 
 /**
- * Make a content upload request
+ * Render the inline content of a node as markdown. Line breaks (<br>)
+ * come out as '\n'.
  */
-DropboxClient.prototype.uploadRequest = function(endpoint, apiArg, content) {
-  var url = this.contentUrl + endpoint;
-  
+function htmlInline(node) {
+  if (node.text !== undefined) {
+    return escapeMarkdownText(node.text.replace(/[ \t\r\n]+/g, ' '));
+  }
+  var inner = function() { return node.children.map(htmlInline).join(''); };
+  var wrap = function(mark) {
+    var s = inner();
+    var m = s.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[2] ? m[1] + mark + m[2] + mark + m[3] : s;
+  };
+  switch (node.tag) {
+    case 'br': return '\n';
+    case 'b': case 'strong': return wrap('**');
+    case 'i': case 'em': return wrap('*');
+    case 'del': case 's': case 'strike': return wrap('~~');
+    case 'code': return '`' + htmlText(node).replace(/\s+/g, ' ') + '`';
+    case 'img': return '![' + (node.attrs.alt || '') + '](' + (node.attrs.src || '') + ')';
+    case 'a':
+      var label = inner();
+      var href = node.attrs.href;
+      if (!href) return label;
+      return label === escapeMarkdownText(href) ? '<' + href + '>' : '[' + label + '](' + href + ')';
+    case 'ul': case 'ol': case 'table': case 'pre': case 'blockquote': return '';
+    default: return inner();
+  }
+}
+
+// Inline markdown of a node, trimmed. &nbsp; becomes a space, so leading
+// &nbsp; indentation survives but an &nbsp;-only spacer comes out empty.
+function htmlInlineText(node) {
+  var s = htmlInline(node).replace(/[ \t]*\n[ \t]*/g, '\n').replace(/^[ \t\n]+|[ \t\n]+$/g, '');
+  return /\S/.test(s) ? s.replace(/\u00a0/g, ' ').replace(/\s+$/, '') : '';
+}
+
+/**
+ * Collect list items from a <ul>/<ol>. Paper writes nested levels as
+ * separate flat lists tagged listindentN; real nesting is honoured too.
+ */
+function collectHtmlListItems(list, depth, items) {
+  var cls = list.attrs['class'] || '';
+  var indent = cls.match(/listindent(\d+)/);
+  var level = Math.max(depth, indent ? parseInt(indent[1], 10) : 1);
+  var task = /listtype-task/.test(cls);
+  var start = parseInt(list.attrs.start, 10) || 1;
+
+  list.children.forEach(function(child) {
+    if (child.tag !== 'li') return;
+    var liClass = child.attrs['class'] || '';
+    var body = { tag: 'li', attrs: {}, children: child.children.filter(function(c) {
+      return c.tag !== 'ul' && c.tag !== 'ol';
+    }) };
+    items.push({
+      level: level,
+      ordered: list.tag === 'ol',
+      start: start,
+      task: task,
+      checked: task && (/taskdone/.test(cls) || /checked|done/.test(liClass)),
+      text: htmlInlineText(body).replace(/\n/g, ' ')
+    });
+    child.children.forEach(function(c) {
+      if (c.tag === 'ul' || c.tag === 'ol') collectHtmlListItems(c, level + 1, items);
+    });
+  });
+}
+
+/**
+ * Format list items ({ level, ordered, start, task, checked, text }) as a
+ * markdown list, indenting each level under its parent's marker.
+ */
+function formatMarkdownList(items) {
+  var lines = [];
+  var stack = []; // { level, ordered, next, width, pad }
+
+  items.forEach(function(item) {
+    while (stack.length && stack[stack.length - 1].level > item.level) stack.pop();
+    var top = stack[stack.length - 1];
+    if (top && top.level === item.level && top.ordered !== item.ordered) {
+      stack.pop();
+      top = stack[stack.length - 1];
+      if (!top) lines.push(''); // a new top-level list reads better apart
+    }
+    if (!top || top.level < item.level) {
+      var parent = top;
+      top = { level: item.level, ordered: item.ordered, next: item.start || 1,
+        pad: parent ? parent.pad + parent.width : '' };
+      stack.push(top);
+    }
+    var marker = item.ordered ? (top.next++) + '. ' : '- ';
+    top.width = new Array(marker.length + 1).join(' ');
+    var task = item.task ? (item.checked ? '[x] ' : '[ ] ') : '';
+    lines.push(top.pad + marker + task + item.text);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Convert a Paper table to a pipe table. The first row is the header;
+ * header cells wrapped entirely in bold lose the bold, since pipe table
+ * headers are bold already.
+ */
+function htmlTableToMarkdown(table) {
+  var rows = [];
+  (function findRows(node) {
+    node.children.forEach(function(child) {
+      if (child.tag === 'tr') {
+        rows.push(child.children.filter(function(c) { return c.tag === 'td' || c.tag === 'th'; }).map(function(cell) {
+          return htmlInlineText(cell).replace(/\n+/g, ' ').replace(/\|/g, '\\|');
+        }));
+      } else if (child.children) {
+        findRows(child);
+      }
+    });
+  })(table);
+  if (!rows.length) return '';
+
+  rows[0] = rows[0].map(function(cell) {
+    var bold = cell.match(/^\*\*([^*]*)\*\*$/);
+    return bold ? bold[1] : cell;
+  });
+  return formatPipeTable(rows);
+}
+
+/**
+ * Format rows of cell markdown (pipes already escaped) as a pipe table
+ * with the first row as the header. Short rows are padded.
+ */
+function formatPipeTable(rows) {
+  var width = Math.max.apply(null, rows.map(function(r) { return r.length; }));
+  rows = rows.map(function(r) {
+    r = r.slice();
+    while (r.length < width) r.push('');
+    return r;
+  });
+  var out = ['| ' + rows[0].join(' | ') + ' |',
+    '|' + rows[0].map(function() { return ' --- '; }).join('|') + '|'];
+  for (var r = 1; r < rows.length; r++) {
+    out.push('| ' + rows[r].join(' | ') + ' |');
+  }
+  return out.join('\n');
+}
+
+// Block-level elements; anything else is inline content of a paragraph
+var HTML_BLOCK_TAGS = /^(html|body|div|p|h[1-6]|ul|ol|li|table|tbody|thead|tr|td|th|pre|blockquote|hr|section|article|header|footer|main|head)$/;
+
+/**
+ * Render the children of a node as markdown blocks. Adjacent lists are
+ * merged into one, so Paper's one-<ul>-per-level markup nests correctly.
+ */
+function htmlBlocks(node) {
+  var blocks = [];
+  var listItems = null;
+  var inline = [];
+
+  function flushInline() {
+    var text = htmlInlineText({ tag: 'p', attrs: {}, children: inline });
+    inline = [];
+    if (text) blocks.push(text);
+  }
+  function flushList() {
+    if (listItems) blocks.push(formatMarkdownList(listItems));
+    listItems = null;
+  }
+
+  node.children.forEach(function(child) {
+    var tag = child.tag;
+    if (tag === 'ul' || tag === 'ol') {
+      flushInline();
+      listItems = listItems || [];
+      collectHtmlListItems(child, 1, listItems);
+      return;
+    }
+    if (child.text !== undefined && !/\S/.test(child.text)) {
+      return; // whitespace between blocks does not end a list
+    }
+    if (child.text !== undefined || !HTML_BLOCK_TAGS.test(tag)) {
+      flushList();
+      inline.push(child);
+      return;
+    }
+
+    flushInline();
+    flushList();
+    var heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      var title = htmlInlineText(child).replace(/\n/g, ' ');
+      if (title) blocks.push(new Array(parseInt(heading[1], 10) + 1).join('#') + ' ' + title);
+    } else if (tag === 'hr') {
+      blocks.push('---');
+    } else if (tag === 'table') {
+      blocks.push(htmlTableToMarkdown(child));
+    } else if (tag === 'pre') {
+      var code = child.children.filter(function(c) { return c.tag === 'code'; })[0];
+      var lang = ((code && code.attrs['class']) || '').match(/language-([\w+#.-]+)/);
+      blocks.push('```' + (lang ? lang[1] : '') + '\n' + htmlText(child).replace(/\n+$/, '') + '\n```');
+    } else if (tag === 'blockquote') {
+      var quoted = htmlBlocks(child).join('\n\n');
+      if (quoted) blocks.push(quoted.split('\n').map(function(l) { return l ? '> ' + l : '>'; }).join('\n'));
+    } else if (tag === 'p' || (tag === 'div' && !child.children.some(function(c) { return c.tag && HTML_BLOCK_TAGS.test(c.tag); }))) {
+      // A paragraph; one that is only &nbsp; is a spacer and is dropped
+      var text = htmlInlineText(child);
+      if (text) blocks.push(text);
+    } else {
+      blocks = blocks.concat(htmlBlocks(child));
+    }
+  });
+  flushInline();
+  flushList();
+  return blocks;
+}
+
+function htmlToMarkdown(html) {
+  return htmlBlocks(parseHtml(html)).join('\n\n') + '\n';
+}
+
+/**
+ * Tidy Paper's markdown export: convert embedded HTML blocks, collapse
+ * &nbsp; spacers and runs of blank lines, drop escapes Paper adds to
+ * characters that need none, and re-indent lists.
+ */
+function cleanMarkdown(md) {
+  var lines = md.replace(/\r\n/g, '\n').split('\n');
+  var out = [];
+  var i = 0;
+
+  function blank() {
+    if (out.length && out[out.length - 1] !== '') out.push('');
+  }
+
+  while (i < lines.length) {
+    var line = lines[i].replace(/&nbsp;/g, '\u00a0').replace(/\s+$/, '');
+    var trimmed = line.replace(/^\s+/, '');
+
+    // Fenced code is copied untouched
+    var fence = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fence) {
+      blank();
+      out.push(trimmed);
+      i++;
+      while (i < lines.length && lines[i].replace(/^\s+/, '').indexOf(fence[1]) !== 0) {
+        out.push(lines[i]);
+        i++;
+      }
+      out.push(fence[1]);
+      i++;
+      blank();
+      continue;
+    }
+
+    // Spacer paragraphs and blank lines collapse to a single blank line
+    if (trimmed === '' || /^\\?$/.test(trimmed)) {
+      blank();
+      i++;
+      continue;
+    }
+
+    // HTML left in the export (tables, lists): convert up to the next blank line
+    if (/^<(table|div|ul|ol|p|pre|blockquote|h[1-6])\b/i.test(trimmed)) {
+      var htmlLines = [];
+      while (i < lines.length && lines[i].replace(/\s+/g, '') !== '') {
+        htmlLines.push(lines[i]);
+        i++;
+      }
+      blank();
+      out.push(htmlToMarkdown(htmlLines.join('\n')).replace(/\n+$/, ''));
+      blank();
+      continue;
+    }
+
+    // Lists: gather items (blank lines between them included) and re-indent
+    if (matchListItem(line.replace(/\u00a0/g, ' '))) {
+      var items = [];
+      var indents = [];
+      while (i < lines.length) {
+        var itemLine = lines[i].replace(/&nbsp;/g, ' ').replace(/\u00a0/g, ' ');
+        var item = matchListItem(itemLine);
+        if (!item) {
+          var next = i;
+          while (next < lines.length && !/\S/.test(lines[next].replace(/&nbsp;/g, ''))) next++;
+          if (next > i && next < lines.length && matchListItem(lines[next].replace(/&nbsp;/g, ' '))) {
+            i = next;
+            continue;
+          }
+          if (next === i && items.length && indentWidth(itemLine) > items[items.length - 1].indent) {
+            items[items.length - 1].text += ' ' + unescapeMarkdown(itemLine.replace(/^\s+/, ''));
+            i++;
+            continue;
+          }
+          break;
+        }
+        while (indents.length && indents[indents.length - 1] > item.indent) indents.pop();
+        if (!indents.length || indents[indents.length - 1] < item.indent) indents.push(item.indent);
+        item.level = indents.length;
+        item.text = unescapeMarkdown(item.text);
+        items.push(item);
+        i++;
+      }
+      blank();
+      out.push(formatMarkdownList(items));
+      blank();
+      continue;
+    }
+
+    // Headings stand apart from the text around them
+    if (/^#{1,6}\s/.test(trimmed)) {
+      blank();
+      out.push(trimmed);
+      blank();
+      i++;
+      continue;
+    }
+
+    // &nbsp; indentation (see markdownToDropboxHtml) becomes plain spaces
+    var indent = line.match(/^\s*/)[0].length;
+    var text = unescapeMarkdown(trimmed.replace(/\u00a0/g, ' '));
+    out.push(indent ? new Array(indent + 1).join(' ') + text : text);
+    i++;
+  }
+
+  while (out.length && out[0] === '') out.shift();
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Drop backslash escapes that markdown does not need: Paper escapes every
+ * punctuation character it exports. Escapes that still matter are kept -
+ * those before * ` [ ] \ and before a _ at a word boundary, and those that
+ * stop a line from reading as a heading, list item, quote or rule.
+ */
+function unescapeMarkdown(text) {
+  var lead = text.match(/^(\\[#>+\-=]|\d+\\[.)])/);
+  var prefix = lead ? lead[0] : '';
+  var rest = text.slice(prefix.length).replace(/\\([\\`*_{}\[\]()#+\-.!~|<>"'])/g, function(m, ch, offset, s) {
+    if ('\\`*[]'.indexOf(ch) !== -1) return m;
+    if (ch === '_') {
+      var before = s.charAt(offset - 1);
+      var after = s.charAt(offset + 2);
+      return /\w/.test(before) && /\w/.test(after) ? '_' : m;
+    }
+    if (ch === '~' && s.charAt(offset + 2) === '~') return m;
+    return ch;
+  });
+  return prefix + rest;
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Safe nested property access (replaces optional chaining)
+ */
+function safeGet(obj, path, defaultVal) {
+  if (!obj) return defaultVal;
+  var parts = path.split('.');
+  var current = obj;
+  for (var i = 0; i < parts.length; i++) {
+    if (current === null || current === undefined) return defaultVal;
+    current = current[parts[i]];
+  }
+  return current !== undefined ? current : defaultVal;
+}
+
+/**
+ * Follow a Dropbox cursor until has_more is false or maxItems is reached.
+ *
+ * @param {object} page - Result of the initial list/search call
+ * @param {function} next - Called with a cursor, returns the next page
+ * @param {string} itemsKey - 'entries' for list_folder, 'matches' for search
+ * @param {number} [maxItems] - Stop after this many items (0 = no cap)
+ * @param {function} onPage - Called with (items, page) for each page
+ */
+function followCursor(page, next, itemsKey, maxItems, onPage) {
+  var count = 0;
+  while (true) {
+    var items = page[itemsKey] || [];
+    if (maxItems && count + items.length > maxItems) {
+      items = items.slice(0, maxItems - count);
+    }
+    count += items.length;
+    onPage(items, page);
+    if (maxItems && count >= maxItems) {
+      var truncated = items.length < (page[itemsKey] || []).length;
+      return { count: count, has_more: truncated || !!page.has_more, cursor: page.cursor };
+    }
+    if (!page.has_more || !page.cursor) {
+      return { count: count, has_more: false, cursor: page.cursor };
+    }
+    page = next(page.cursor);
+  }
+}
+
+/**
+ * Block for the given number of milliseconds.
+ * The sandbox has no timers that can be waited on synchronously.
+ */
+function sleepMs(ms) {
+  if (ms <= 0) return;
+  require('child_process').execSync('sleep ' + (ms / 1000).toFixed(3), { stdio: 'ignore' });
+}
+
+/**
+ * Find the correct_offset in an upload session incorrect_offset error,
+ * or null if the error is something else.
+ */
+function findCorrectOffset(err) {
+  var current = safeGet(err, 'data.error', null);
+  while (current && typeof current === 'object') {
+    if (current.correct_offset !== undefined) {
+      return current.correct_offset;
+    }
+    current = current[current['.tag']];
+  }
+  return null;
+}
+
+/**
+ * Build an Error from a failed response, keeping the HTTP status and the
+ * parsed Dropbox error body on the error object.
+ */
+function responseError(response, text, fallbackMessage) {
+  var data;
+  try { data = JSON.parse(text); } catch (e) { data = { error: text }; }
+  var err = new Error(data.error_summary || data.error_description ||
+    safeGet(data, 'error.message', null) || text || fallbackMessage);
+  err.status = response.status;
+  err.data = data;
+  err.attempts = response.attempts;
+  err.code = classifyError(err);
+  return err;
+}
+
+/**
+ * Error types reported in the JSON `code` field, each with its own process
+ * exit code and a hint printed in --summary mode.
+ */
+var ERROR_TYPES = {
+  general: { exitCode: 1, hint: null },
+  invalid_argument: { exitCode: 2, hint: 'The arguments are not valid; check the command usage with "dropbox help".' },
+  not_found: { exitCode: 3, hint: 'Nothing exists at that path. Check it with "ls" or "search"; paths start with "/".' },
+  conflict: { exitCode: 4, hint: 'Something already exists there or the document changed. Use --autorename, or re-read and retry.' },
+  insufficient_space: { exitCode: 5, hint: 'The Dropbox account or team is out of storage space.' },
+  rate_limited: { exitCode: 6, hint: 'Dropbox is rate limiting requests. Wait a moment, or raise --retries.' },
+  auth_expired: { exitCode: 7, hint: 'The Dropbox token is missing, invalid or expired. Re-authorize the dropbox token.' },
+  permission_denied: { exitCode: 8, hint: 'This account is not allowed to access or change that path.' },
+  invalid_path: { exitCode: 9, hint: 'The path is malformed or not allowed here (e.g. wrong extension or a reserved name).' },
+  proxy_unavailable: { exitCode: 10, hint: 'The PAVE auth proxy could not be reached. Check that PAVE is running and PAVE_PROXY_URL is set.' },
+  server_error: { exitCode: 11, hint: 'Dropbox had an internal error. Try again later.' },
+  network_error: { exitCode: 12, hint: 'The transfer was interrupted. Run the same command again to retry or resume.' },
+  integrity_error: { exitCode: 13, hint: 'The downloaded file does not match the copy in Dropbox. Download it again.' },
+  local_io: { exitCode: 14, hint: 'A local file could not be read or written. Check the local path and permissions.' }
+};
+
+/**
+ * An Error carrying one of the ERROR_TYPES keys as its code.
+ */
+function typedError(code, message) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Map a Dropbox error_summary (or batch failure summary) and HTTP status
+ * to one of the ERROR_TYPES keys.
+ */
+function errorTypeFromSummary(summary, status) {
+  summary = summary || '';
+  if (status === 401 || /(expired|invalid)_access_token|invalid_account_type|user_suspended/.test(summary)) {
+    return 'auth_expired';
+  }
+  if (status === 429 || /too_many_(requests|write_operations)/.test(summary)) {
+    return 'rate_limited';
+  }
+  if (/insufficient_(space|quota)/.test(summary)) return 'insufficient_space';
+  if (/not_found|unmounted|doc_(archived|deleted)|not_a_member|no_explicit_access/.test(summary)) return 'not_found';
+  if (/conflict|revision_mismatch|already_exists|already_shared/.test(summary)) return 'conflict';
+  if (/malformed_path|disallowed_name|invalid_file_extension|unsupported_(extension|image|content)|invalid_path|not_file|not_folder|too_many_files|cant_(copy|move|nest|transfer)/.test(summary)) {
+    return 'invalid_path';
+  }
+  if (status === 403 || /no_write_permission|no_permission|access_denied|missing_scope|restricted_content|team_folder|email_unverified/.test(summary)) {
+    return 'permission_denied';
+  }
+  if (status >= 500) return 'server_error';
+  if (status === 400 || /invalid_root/.test(summary)) return 'invalid_argument';
+  return 'general';
+}
+
+/**
+ * Work out the ERROR_TYPES key for any error the skill can throw: API
+ * errors carry a status and Dropbox error body, local fs errors a syscall.
+ */
+function classifyError(err) {
+  if (err.code && ERROR_TYPES[err.code]) {
+    return err.code;
+  }
+  if (err.syscall || /^E[A-Z]+$/.test(err.code || '')) {
+    return 'local_io';
+  }
+  return errorTypeFromSummary(safeGet(err, 'data.error_summary', '') || err.message, err.status);
+}
+
+/**
+ * Turn a Dropbox error union into a path-like summary such as
+ * "to/conflict/file", matching the style of error_summary strings.
+ */
+function describeFailure(failure) {
+  var parts = [];
+  var current = failure;
+  while (current && typeof current === 'object' && current['.tag']) {
+    var tag = current['.tag'];
+    parts.push(tag);
+    current = current[tag];
+  }
+  return parts.join('/') || 'unknown';
+}
+
+/**
+ * Pair the entries of a finished batch job with the requests that produced
+ * them, so callers can report per-entry success or failure.
+ *
+ * @param {Array} requests - The entries sent to the batch endpoint
+ * @param {object} job - Final job status from waitForJob()
+ * @returns {object} { entries, succeeded, failed }
+ */
+function summarizeBatch(requests, job) {
+  if (job['.tag'] === 'failed' || job['.tag'] === 'other' || !job.entries) {
+    var err = new Error('Batch job failed: ' + describeFailure(job));
+    err.data = job;
+    throw err;
+  }
+  
+  var summary = { entries: [], succeeded: 0, failed: 0 };
+  for (var i = 0; i < job.entries.length; i++) {
+    var entry = job.entries[i];
+    var item = Object.assign({}, requests[i]);
+    if (entry['.tag'] === 'success') {
+      item.ok = true;
+      item.metadata = entry.metadata || entry.success;
+      summary.succeeded++;
+    } else {
+      item.ok = false;
+      item.error = describeFailure(entry.failure || entry);
+      item.code = errorTypeFromSummary(item.error);
+      summary.failed++;
+    }
+    summary.entries.push(item);
+  }
+  return summary;
+}
+
+// Dropbox takes at most this many entries in one batch job
+var BATCH_JOB_LIMIT = 1000;
+
+// Run one batch job per BATCH_JOB_LIMIT entries and merge the summaries
+function chunkedBatch(entries, runJob) {
+  var summary = { entries: [], succeeded: 0, failed: 0 };
+  for (var start = 0; start < entries.length; start += BATCH_JOB_LIMIT) {
+    var part = runJob(entries.slice(start, start + BATCH_JOB_LIMIT));
+    summary.entries = summary.entries.concat(part.entries);
+    summary.succeeded += part.succeeded;
+    summary.failed += part.failed;
+  }
+  return summary;
+}
+
+// Exit code of a command where some entries failed: the code the first
+// failure would have exited with on its own (1 when it has no type)
+function failureExitCode(failures) {
+  var code = failures.length ? failures[0].code : null;
+  return ERROR_TYPES[code] ? ERROR_TYPES[code].exitCode : 1;
+}
+
+/**
+ * Convert a glob to a RegExp over '/'-separated relative paths. `*` and `?`
+ * stay within one path segment, `**` spans segments. A pattern without a
+ * '/' matches the file name at any depth.
+ */
+function globToRegExp(glob) {
+  var pattern = glob.indexOf('/') === -1 ? '**/' + glob : glob.replace(/^\//, '');
+  var out = '';
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern.charAt(i);
+    if (c === '*' && pattern.charAt(i + 1) === '*') {
+      if (pattern.charAt(i + 2) === '/') {
+        out += '(?:.*/)?';
+        i += 2;
+      } else {
+        out += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      out += '[^/]*';
+    } else if (c === '?') {
+      out += '[^/]';
+    } else {
+      out += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + out + '$', 'i');
+}
+
+/**
+ * Build a predicate over relative paths from include and exclude globs.
+ * With includes, a path must match one of them; it must match no exclude.
+ */
+function pathFilter(include, exclude) {
+  var includes = (include || []).map(globToRegExp);
+  var excludes = (exclude || []).map(globToRegExp);
+  return function(relPath) {
+    if (includes.length && !includes.some(function(re) { return re.test(relPath); })) {
+      return false;
+    }
+    return !excludes.some(function(re) { return re.test(relPath); });
+  };
+}
+
+/**
+ * Walk a local directory and index its files by lower-cased relative path
+ * (Dropbox paths are case-insensitive). Partial downloads are left out.
+ *
+ * @returns {object} Map of key -> { path, localPath, size }
+ */
+function listLocalFiles(localDir) {
+  var files = {};
+  if (!fs.existsSync(localDir)) {
+    return files;
+  }
+  (function walk(dir, prefix) {
+    fs.readdirSync(dir).forEach(function(name) {
+      var full = path.join(dir, name);
+      var rel = prefix ? prefix + '/' + name : name;
+      var stat = fs.statSync(full);
+      if (stat.isDirectory()) {
+        walk(full, rel);
+      } else if (stat.isFile() && !/\.download(\.json)?$/.test(name)) {
+        files[rel.toLowerCase()] = { path: rel, localPath: full, size: stat.size };
+      }
+    });
+  })(localDir, '');
+  return files;
+}
+
+/**
+ * Line diff (Myers' O(ND) algorithm).
+ * @returns {Array} Edit script of { op: ' ' | '-' | '+', line }
+ */
+function diffLines(a, b) {
+  var n = a.length;
+  var m = b.length;
+  var max = n + m;
+  var v = { 1: 0 };
+  var trace = [];
+  
+  search:
+  for (var d = 0; d <= max; d++) {
+    trace.push(Object.assign({}, v));
+    for (var k = -d; k <= d; k += 2) {
+      var x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+      var y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+  
+  // Walk the trace backwards to recover the edits
+  var edits = [];
+  x = n;
+  y = m;
+  for (d = trace.length - 1; d >= 0; d--) {
+    var vd = trace[d];
+    k = x - y;
+    var prevK = (k === -d || (k !== d && vd[k - 1] < vd[k + 1])) ? k + 1 : k - 1;
+    var prevX = d === 0 ? 0 : vd[prevK];
+    var prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      edits.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ op: '+', line: b[--y] });
+      } else {
+        edits.push({ op: '-', line: a[--x] });
+      }
+    }
+  }
+  return edits.reverse();
+}
+
+/**
+ * Format two texts as a unified diff with 3 lines of context.
+ * @returns {string} The diff, or '' when the texts are the same
+ */
+function unifiedDiff(oldText, newText, oldLabel, newLabel) {
+  var context = 3;
+  var split = function(text) {
+    var lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+  var edits = diffLines(split(oldText), split(newText));
+  var out = [];
+  var i = 0;
+  var oldLine = 1;
+  var newLine = 1;
+  
+  while (i < edits.length) {
+    if (edits[i].op === ' ') {
+      oldLine++;
+      newLine++;
+      i++;
+      continue;
+    }
+    
+    // A hunk: back up over leading context, then run until the changes
+    // are separated by more than twice the context
+    var start = Math.max(0, i - context);
+    var end = i;
+    var quiet = 0;
+    while (end < edits.length && quiet <= context * 2) {
+      quiet = edits[end].op === ' ' ? quiet + 1 : 0;
+      end++;
+    }
+    end -= Math.max(0, quiet - context);
+    
+    var hunkOld = oldLine - (i - start);
+    var hunkNew = newLine - (i - start);
+    var oldCount = 0;
+    var newCount = 0;
+    var body = [];
+    for (var j = start; j < end; j++) {
+      body.push(edits[j].op + edits[j].line);
+      if (edits[j].op !== '+') oldCount++;
+      if (edits[j].op !== '-') newCount++;
+    }
+    if (!out.length) {
+      out.push('--- ' + oldLabel, '+++ ' + newLabel);
+    }
+    out.push('@@ -' + (oldCount ? hunkOld : hunkOld - 1) + ',' + oldCount +
+      ' +' + (newCount ? hunkNew : hunkNew - 1) + ',' + newCount + ' @@');
+    out = out.concat(body);
+    
+    for (j = i; j < end; j++) {
+      if (edits[j].op !== '+') oldLine++;
+      if (edits[j].op !== '-') newLine++;
+    }
+    i = end;
+  }
+  return out.join('\n');
+}
+
+// A plain or quoted YAML scalar, or a flow list such as [a, "b c"]
+function parseYamlScalar(value, lineNo) {
+  value = value.trim();
+  if (value.charAt(0) === '"') {
+    try { return JSON.parse(value); } catch (e) { throw typedError('invalid_argument', 'YAML line ' + lineNo + ': bad quoted string'); }
+  }
+  if (value.charAt(0) === "'") {
+    if (!/^'(?:[^']|'')*'$/.test(value)) throw typedError('invalid_argument', 'YAML line ' + lineNo + ': bad quoted string');
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.charAt(0) === '[') {
+    var inner = value.replace(/^\[|\]$/g, '').trim();
+    return inner ? (inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || []).map(function(item) {
+      return parseYamlScalar(item, lineNo);
+    }) : [];
+  }
+  if (value.charAt(0) === '{') {
+    try { return JSON.parse(value); } catch (e) { throw typedError('invalid_argument', 'YAML line ' + lineNo + ': only JSON-style {} maps are supported inline'); }
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+  return value;
+}
+
+/**
+ * Parse the subset of YAML a batch manifest needs: nested block mappings
+ * and sequences, plain and quoted scalars, flow lists, comments, and
+ * literal (|) and folded (>) block scalars for multi-line content.
+ * Anchors, tags and multi-document streams are not supported.
+ */
+function parseYaml(text) {
+  var lines = text.replace(/\r\n/g, '\n').split('\n').map(function(raw, i) {
+    if (/^ *\t/.test(raw)) throw typedError('invalid_argument', 'YAML line ' + (i + 1) + ': tabs are not allowed for indentation');
+    var indent = raw.match(/^ */)[0].length;
+    return { no: i + 1, raw: raw, indent: indent, text: raw.slice(indent) };
+  });
+  var pos = 0;
+
+  // Strip a trailing " # comment" outside quotes
+  function value(text) {
+    if (/^["']/.test(text)) {
+      var quoted = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*(#.*)?$/);
+      return quoted ? quoted[1] : text;
+    }
+    return text.replace(/(^|\s+)#.*$/, '');
+  }
+
+  function skipBlank() {
+    while (pos < lines.length && /^(#.*)?\s*$/.test(lines[pos].text)) pos++;
+  }
+
+  function isEntry(text) {
+    return /^-( |$)/.test(text);
+  }
+
+  function keyMatch(text) {
+    return text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-\[{][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+  }
+
+  function parseNode(minIndent) {
+    skipBlank();
+    if (pos >= lines.length || lines[pos].indent < minIndent) return null;
+    return isEntry(lines[pos].text) ? parseSequence(lines[pos].indent) : parseMapping(lines[pos].indent);
+  }
+
+  function parseSequence(indent) {
+    var items = [];
+    for (skipBlank(); pos < lines.length && lines[pos].indent === indent && isEntry(lines[pos].text); skipBlank()) {
+      var line = lines[pos];
+      var rest = line.text.slice(1).replace(/^ +/, '');
+      if (!value(rest)) {
+        pos++;
+        items.push(parseNode(indent + 1));
+      } else if (keyMatch(rest)) {
+        // "- key: value" starts a mapping indented to where the key is
+        lines[pos] = { no: line.no, raw: line.raw, indent: line.raw.length - rest.length, text: rest };
+        items.push(parseMapping(lines[pos].indent));
+      } else if (/^[|>][+-]?$/.test(value(rest))) {
+        pos++;
+        items.push(blockScalar(indent, value(rest)));
+      } else {
+        pos++;
+        items.push(parseYamlScalar(value(rest), line.no));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    var map = {};
+    for (skipBlank(); pos < lines.length && lines[pos].indent === indent && !isEntry(lines[pos].text); skipBlank()) {
+      var line = lines[pos];
+      var m = keyMatch(line.text);
+      if (!m) throw typedError('invalid_argument', 'YAML line ' + line.no + ': expected "key: value"');
+      var key = /^["']/.test(m[1]) ? parseYamlScalar(m[1], line.no) : m[1];
+      var rest = value(m[2] || '');
+      pos++;
+      if (/^[|>][+-]?$/.test(rest)) {
+        map[key] = blockScalar(indent, rest);
+      } else if (rest) {
+        map[key] = parseYamlScalar(rest, line.no);
+      } else {
+        skipBlank();
+        // A sequence may sit at the same indent as its key
+        map[key] = pos < lines.length && lines[pos].indent === indent && isEntry(lines[pos].text)
+          ? parseSequence(indent) : parseNode(indent + 1);
+      }
+    }
+    if (pos < lines.length && lines[pos].indent > indent) {
+      throw typedError('invalid_argument', 'YAML line ' + lines[pos].no + ': unexpected indentation');
+    }
+    return map;
+  }
+
+  // Lines indented past the parent, kept verbatim (comments included)
+  function blockScalar(parentIndent, indicator) {
+    var body = [];
+    var blockIndent = null;
+    while (pos < lines.length && (!lines[pos].text.trim() || lines[pos].indent > parentIndent)) {
+      var line = lines[pos++];
+      if (line.text.trim() && blockIndent === null) blockIndent = line.indent;
+      body.push(line.text.trim() ? line.raw.slice(blockIndent) : '');
+    }
+    var trailing = 0;
+    while (body.length && body[body.length - 1] === '') { body.pop(); trailing++; }
+    var out = indicator.charAt(0) === '|'
+      ? body.join('\n')
+      : body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+    var chomp = indicator.charAt(1);
+    if (chomp === '-' || !body.length) return out;
+    return out + (chomp === '+' ? new Array(trailing + 2).join('\n') : '\n');
+  }
+
+  var result = parseNode(0);
+  skipBlank();
+  if (pos < lines.length) {
+    throw typedError('invalid_argument', 'YAML line ' + lines[pos].no + ': unexpected content');
+  }
+  return result;
+}
+
+/**
+ * Read the operations of a batch manifest: a JSON array (or an object with
+ * an "operations" array), NDJSON with one operation per line, or YAML of
+ * either shape.
+ *
+ * @param {string} text - Manifest contents
+ * @returns {Array} Operation objects
+ */
+function parseManifest(text) {
+  var trimmed = text.trim();
+  var manifest;
+  if (!trimmed) {
+    throw typedError('invalid_argument', 'The manifest is empty');
+  }
+  if (/^[\[{]/.test(trimmed)) {
+    try {
+      manifest = JSON.parse(trimmed);
+    } catch (e) {
+      // Not a single JSON document: NDJSON, one operation per line
+      manifest = trimmed.split('\n').filter(function(line) { return line.trim(); }).map(function(line, i) {
+        try { return JSON.parse(line); } catch (err) { throw typedError('invalid_argument', 'Manifest line ' + (i + 1) + ' is not valid JSON'); }
+      });
+    }
+  } else {
+    manifest = parseYaml(text);
+  }
+  var operations = Array.isArray(manifest) ? manifest : manifest && manifest.operations;
+  if (!Array.isArray(operations)) {
+    throw typedError('invalid_argument', 'The manifest must be a list of operations or have an "operations" list');
+  }
+  return operations;
+}
+
+// Templates
+var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parse a duration such as "30min", "12h", "7d", "2w", "1mo" or "1y",
+ * optionally signed. Template date offsets, --expires and
+ * --modified-after/--modified-before all take these. A bare "m" is
+ * refused: it meant minutes to some and months to others.
+ *
+ * @returns {object|null} { count, unit } or null when value is not a duration
+ */
+function parseDuration(value) {
+  var m = String(value).trim().match(/^([+-]?\d+)\s*(min|mo|[hdwmy])$/i);
+  if (m && m[2].toLowerCase() === 'm') {
+    throw typedError('invalid_argument', 'Ambiguous duration "' + value + '": use min for minutes or mo for months');
+  }
+  return m ? { count: parseInt(m[1], 10), unit: m[2].toLowerCase() } : null;
+}
+
+/**
+ * The date a parsed duration after `date` (before it for direction -1).
+ * Days, weeks, months and years follow the calendar, so "+1d" across a
+ * daylight saving change keeps the time of day and "+1mo" from the 31st
+ * ends on the last day of a shorter month.
+ */
+function addDuration(date, duration, direction) {
+  var n = duration.count * (direction || 1);
+  var shifted = new Date(date.getTime());
+  if (duration.unit === 'min' || duration.unit === 'h') {
+    shifted.setTime(shifted.getTime() + n * (duration.unit === 'h' ? 3600000 : 60000));
+  } else if (duration.unit === 'd' || duration.unit === 'w') {
+    shifted.setDate(shifted.getDate() + n * (duration.unit === 'w' ? 7 : 1));
+  } else {
+    // Past the end of a shorter month, land on its last day: a month after
+    // 31 January is 29 February, not 2 March
+    var day = shifted.getDate();
+    shifted.setDate(1);
+    shifted.setMonth(shifted.getMonth() + n * (duration.unit === 'y' ? 12 : 1));
+    shifted.setDate(Math.min(day, new Date(shifted.getFullYear(), shifted.getMonth() + 1, 0).getDate()));
+  }
+  return shifted;
+}
+
+/**
+ * A time given as a duration from now (forwards, or backwards for
+ * direction -1) or anything Date can parse.
+ * @returns {Date|null} null when value is neither
+ */
+function parseTimeOption(value, direction) {
+  var duration = parseDuration(value);
+  var date = duration ? addDuration(new Date(), duration, direction) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Shift a date by an offset such as "+7d", "-2w", "+1mo" or "+1y".
+ */
+function shiftDate(date, offset) {
+  var duration = parseDuration(offset);
+  if (!duration) {
+    throw typedError('invalid_argument', 'Invalid date offset "' + offset + '" (use e.g. +7d, -2w, +1mo or +1y)');
+  }
+  return addDuration(date, duration);
+}
+
+/**
+ * Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd and ddd
+ * tokens (default "YYYY-MM-DD"). Text in [brackets] is left as is.
+ */
+function formatTemplateDate(date, format) {
+  var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  var parts = {
+    YYYY: String(date.getFullYear()), YY: String(date.getFullYear()).slice(-2),
+    MMMM: MONTH_NAMES[date.getMonth()], MMM: MONTH_NAMES[date.getMonth()].slice(0, 3),
+    MM: pad(date.getMonth() + 1), M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()), D: String(date.getDate()),
+    dddd: DAY_NAMES[date.getDay()], ddd: DAY_NAMES[date.getDay()].slice(0, 3)
+  };
+  return (format || 'YYYY-MM-DD').replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g, function(token, literal) {
+    return literal !== undefined ? literal : parts[token];
+  });
+}
+
+// A date variable: YYYY-MM-DD is taken as a local date, not UTC midnight
+function templateDate(value) {
+  var ymd = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  var date = ymd ? new Date(+ymd[1], +ymd[2] - 1, +ymd[3]) : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw typedError('invalid_argument', 'Not a date: "' + value + '"');
+  }
+  return date;
+}
+
+/**
+ * Template helpers, called as {{name arg...}}. Arguments are "quoted"
+ * strings or variable names.
+ */
+var TEMPLATE_HELPERS = {
+  // {{date}}, {{date "D MMMM YYYY"}}, {{date "YYYY-MM-DD" "+7d"}}
+  date: function(format, offset) {
+    var today = new Date();
+    return formatTemplateDate(offset ? shiftDate(today, offset) : today, format);
+  },
+  // {{formatDate start_date "D MMM YYYY" "+3mo"}}
+  formatDate: function(value, format, offset) {
+    var date = templateDate(value);
+    return formatTemplateDate(offset ? shiftDate(date, offset) : date, format);
+  },
+  upper: function(value) { return String(value).toUpperCase(); },
+  lower: function(value) { return String(value).toLowerCase(); },
+  // {{default manager "TBC"}}
+  'default': function(value, fallback) {
+    return value === undefined || value === null || value === '' ? fallback : value;
+  }
+};
+
+// Split tag contents into words, keeping "quoted strings" together
+function templateArgs(expr) {
+  return (expr.match(/"(?:[^"\\]|\\.)*"|'[^']*'|\S+/g) || []);
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes.
+ * A block tag alone on its line takes the whole line with it, so
+ * {{#each}} rows in a table leave no blank lines behind.
+ */
+function parseTemplate(source) {
+  var text = source.replace(/^[ \t]*(\{\{\s*(?:[#\/][^}]*|else\s*)\}\})[ \t]*(\r?\n|$)/gm, '$1');
+  var root = { body: [] };
+  var stack = [root];
+  var re = /\{\{\s*([#\/]?)\s*([^}]*?)\s*\}\}/g;
+  var last = 0;
+  var m;
+  var current = function() { return stack[stack.length - 1]; };
+  var target = function() { var node = current(); return node.inElse ? node.inverse : node.body; };
+
+  while ((m = re.exec(text)) !== null) {
+    if (m.index > last) target().push({ type: 'text', value: text.slice(last, m.index) });
+    last = re.lastIndex;
+    var words = templateArgs(m[2]);
+    if (m[1] === '#') {
+      if (['each', 'if', 'unless'].indexOf(words[0]) === -1 || words.length !== 2) {
+        throw typedError('invalid_argument', 'Unknown block {{#' + m[2] + '}} (use #each, #if or #unless with one name)');
+      }
+      var block = { type: words[0], name: words[1], body: [], inverse: [], inElse: false };
+      target().push(block);
+      stack.push(block);
+    } else if (m[1] === '/') {
+      if (stack.length === 1 || current().type !== words[0]) {
+        throw typedError('invalid_argument', 'Unexpected {{/' + m[2] + '}}' + (stack.length > 1 ? ' (expected {{/' + current().type + '}})' : ''));
+      }
+      stack.pop();
+    } else if (m[2] === 'else') {
+      if (stack.length === 1) throw typedError('invalid_argument', '{{else}} outside a block');
+      current().inElse = true;
+    } else if (!words.length) {
+      throw typedError('invalid_argument', 'Empty {{ }} tag');
+    } else {
+      target().push({ type: 'value', words: words });
+    }
+  }
+  if (stack.length > 1) {
+    throw typedError('invalid_argument', '{{#' + current().type + ' ' + current().name + '}} is not closed');
+  }
+  if (last < text.length) root.body.push({ type: 'text', value: text.slice(last) });
+  return root.body;
+}
+
+/**
+ * Render a markdown template with variables.
+ *
+ * - {{name}}, {{client.name}}: a variable (an unset one is an error)
+ * - {{#each rows}}...{{/each}}: repeat for each item of an array; inside,
+ *   {{this}} is the item, {{field}} a field of it and {{@number}} its
+ *   1-based position ({{@index}} from 0)
+ * - {{#if name}}...{{else}}...{{/if}} and {{#unless name}}: conditionals
+ *   (empty strings, empty arrays, false and unset names are false)
+ * - {{date "D MMMM YYYY" "+7d"}}, {{formatDate name "D MMM YYYY"}},
+ *   {{upper name}}, {{lower name}}, {{default name "fallback"}}
+ *
+ * @param {string} source - Template markdown
+ * @param {object} vars - Variables
+ * @returns {string} Rendered markdown
+ */
+function renderTemplate(source, vars) {
+  var missing = [];
+
+  function lookup(name, scopes) {
+    if (name === 'this') return scopes[0].value;
+    if (name.charAt(0) === '@') return scopes[0].meta ? scopes[0].meta[name.slice(1)] : undefined;
+    var keys = name.split('.');
+    for (var i = 0; i < scopes.length; i++) {
+      var value = scopes[i].value;
+      if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, keys[0])) {
+        for (var k = 0; k < keys.length && value !== undefined && value !== null; k++) {
+          value = value[keys[k]];
+        }
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  function argument(word, scopes) {
+    if (/^["']/.test(word)) {
+      return word.charAt(0) === '"' ? JSON.parse(word) : word.slice(1, -1);
+    }
+    return lookup(word, scopes);
+  }
+
+  function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  function render(nodes, scopes) {
+    return nodes.map(function(node) {
+      if (node.type === 'text') {
+        return node.value;
+      }
+      if (node.type === 'value') {
+        var value;
+        if (TEMPLATE_HELPERS.hasOwnProperty(node.words[0])) {
+          var args = node.words.slice(1).map(function(word) { return argument(word, scopes); });
+          var unset = node.words[0] === 'default' ? [] : node.words.slice(1).filter(function(word, i) {
+            return args[i] === undefined || args[i] === null;
+          });
+          if (unset.length) {
+            missing.push.apply(missing, unset);
+            return '';
+          }
+          value = TEMPLATE_HELPERS[node.words[0]].apply(null, args);
+        } else if (node.words.length === 1) {
+          value = argument(node.words[0], scopes);
+        } else {
+          throw typedError('invalid_argument', 'Unknown helper "' + node.words[0] + '" (use one of: ' + Object.keys(TEMPLATE_HELPERS).join(', ') + ')');
+        }
+        if (value === undefined || value === null) {
+          missing.push(node.words.join(' '));
+          return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+
+      var subject = lookup(node.name, scopes);
+      if (node.type === 'each') {
+        if (subject === undefined || subject === null) {
+          missing.push(node.name);
+          return '';
+        }
+        if (!Array.isArray(subject)) {
+          throw typedError('invalid_argument', '{{#each ' + node.name + '}} needs an array');
+        }
+        if (!subject.length) {
+          return render(node.inverse, scopes);
+        }
+        return subject.map(function(item, i) {
+          var meta = { index: i, number: i + 1, first: i === 0, last: i === subject.length - 1 };
+          return render(node.body, [{ value: item, meta: meta }].concat(scopes));
+        }).join('');
+      }
+      var pass = truthy(subject) === (node.type === 'if');
+      return render(pass ? node.body : node.inverse, scopes);
+    }).join('');
+  }
+
+  var output = render(parseTemplate(source), [{ value: vars || {} }]);
+  if (missing.length) {
+    throw typedError('invalid_argument', 'Template variables not set: ' + missing.filter(function(name, i) {
+      return missing.indexOf(name) === i;
+    }).join(', '));
+  }
+  return output;
+}
+
+/**
+ * Build template variables from --vars files (JSON or YAML) and --var
+ * key=value pairs, which win. A dotted key (client.name=Acme) sets a
+ * nested field.
+ */
+function templateVars(varsFiles, pairs) {
+  var vars = {};
+  [].concat(varsFiles || []).forEach(function(file) {
+    var text = fs.readFileSync(file, 'utf-8');
+    var data = /^\s*[\[{]/.test(text) ? JSON.parse(text) : parseYaml(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw typedError('invalid_argument', file + ' must contain an object of variables');
+    }
+    Object.keys(data).forEach(function(key) { vars[key] = data[key]; });
+  });
+  [].concat(pairs || []).forEach(function(pair) {
+    var eq = String(pair).indexOf('=');
+    if (eq < 1) {
+      throw typedError('invalid_argument', '--var needs key=value, got "' + pair + '"');
+    }
+    var keys = pair.slice(0, eq).split('.');
+    var target = vars;
+    keys.slice(0, -1).forEach(function(key) {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = pair.slice(eq + 1);
+  });
+  return vars;
+}
+
+// Parse command line arguments  
+var args = process.argv.slice(2);
+
+// Options that never take a value, so a following positional argument is
+// not swallowed (e.g. `ls --all "/CnR HR"`)
+var BOOLEAN_FLAGS = ['summary', 'json', 'recursive', 'r', 'all', 'stdin', 'help', 'h', 'autorename',
+  'no-progress', 'no-verify', 'dry-run', 'no-retry', 'delete', 'clean', 'previous', 'no-expiry', 'quiet', 'once', 'cached', 'refresh', 'local',
+  'filename-only', 'continue-on-error', 'stop-on-error',
+  'no-redirect', 'no-browser', 'team'];
+
+// Options that may be given more than once; their values are collected
+// into an array (e.g. `--exclude "*.map" --exclude "tmp/**"`)
+var REPEATABLE_OPTIONS = ['include', 'exclude', 'rev', 'var', 'vars'];
+
+function setOption(options, key, value) {
+  if (REPEATABLE_OPTIONS.indexOf(key) === -1) {
+    options[key] = value;
+  } else {
+    options[key] = (options[key] || []).concat(value);
+  }
+}
+
+function parseArgs() {
+  var parsed = {
+    command: null,
+    positional: [],
+    options: {}
+  };
+  
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg.charAt(0) === '-') {
+      if (arg.charAt(1) === '-') {
+        // Long option
+        var eqIdx = arg.indexOf('=');
+        var key, value;
+        if (eqIdx > 0) {
+          key = arg.slice(2, eqIdx);
+          value = arg.slice(eqIdx + 1);
+        } else {
+          key = arg.slice(2);
+          if (BOOLEAN_FLAGS.indexOf(key) === -1 && i + 1 < args.length && args[i + 1].charAt(0) !== '-') {
+            value = args[i + 1];
+            i++;
+          } else {
+            value = true;
+          }
+        }
+        setOption(parsed.options, key, value);
+      } else {
+        // Short option
+        var flag = arg.slice(1);
+        if (BOOLEAN_FLAGS.indexOf(flag) === -1 && i + 1 < args.length && args[i + 1].charAt(0) !== '-') {
+          setOption(parsed.options, flag, args[i + 1]);
+          i++;
+        } else {
+          parsed.options[flag] = true;
+        }
+      }
+    } else {
+      if (parsed.command === null) {
+        parsed.command = arg;
+      } else {
+        parsed.positional.push(arg);
+      }
+    }
+  }
+  
+  return parsed;
+}
+
+// Upload sessions: bytes per append request, and the largest file Dropbox
+// accepts in a single /files/upload request
+var UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+var MAX_SINGLE_UPLOAD = 150 * 1024 * 1024;
+
+// Dropbox Client Class
+/**
+ * @param {object} [options]
+ * @param {object} [options.retry] - Overrides for the retry policy:
+ *   { maxRetries, baseDelay, maxDelay } (see defaultRetryPolicy)
+ * @param {string} [options.root] - Namespace paths are relative to:
+ *   'team', 'home' or a namespace ID (see scopeHeaders)
+ * @param {string} [options.asMember] - Team member (email or dbmid:) a
+ *   team token acts as
+ */
+function DropboxClient(options) {
+  options = options || {};
+  // Overridable so a local mock server can stand in for Dropbox
+  this.apiUrl = options.apiUrl || process.env.DROPBOX_API_URL || 'https://api.dropboxapi.com/2';
+  this.contentUrl = options.contentUrl || process.env.DROPBOX_CONTENT_URL || 'https://content.dropboxapi.com/2';
+  this.notifyUrl = options.notifyUrl || process.env.DROPBOX_NOTIFY_URL || 'https://notify.dropboxapi.com/2';
+  this.timeout = 30000;
+  this.jobTimeout = 5 * 60 * 1000;
+  this.retry = Object.assign(defaultRetryPolicy(), options.retry || {});
+  this.transport = options.transport || defaultTransport();
+  this.root = options.root || null;
+  this.asMember = options.asMember || null;
+}
+
+/**
+ * Retry policy defaults, overridable through the environment:
+ *   DROPBOX_MAX_RETRIES       retries after the first attempt (default 4)
+ *   DROPBOX_RETRY_BASE_MS     first backoff delay in ms (default 500)
+ *   DROPBOX_RETRY_MAX_MS      longest backoff delay in ms (default 30000)
+ */
+function defaultRetryPolicy() {
+  var envInt = function(name, fallback) {
+    var value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+  };
+  return {
+    maxRetries: envInt('DROPBOX_MAX_RETRIES', 4),
+    baseDelay: envInt('DROPBOX_RETRY_BASE_MS', 500),
+    maxDelay: envInt('DROPBOX_RETRY_MAX_MS', 30000)
+  };
+}
+
+/**
+ * Delay before retry number `retry` (0-based): exponential backoff with
+ * jitter, or the server's Retry-After when it sent one. Neither exceeds
+ * policy.maxDelay.
+ */
+function retryDelay(policy, retry, retryAfterSeconds) {
+  if (retryAfterSeconds) {
+    return Math.min(retryAfterSeconds * 1000, policy.maxDelay);
+  }
+  var ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retry));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Rate limiting and server-side failures are worth retrying; other 4xx
+// responses describe a problem with the request itself
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Endpoints that only read (or, like upload_session/append_v2, check the
+// offset they write at), so sending them twice does no harm
+var IDEMPOTENT_ENDPOINT = /\/(get_\w+|list\w*|search\w*|export|download)(\/|$)|\/check(_v2)?$|\/upload_session\/(start|append_v2)$/;
+
+// curl exit codes for a host it could not resolve or connect to: nothing
+// was sent, so any request can be tried again
+var CURL_NOT_SENT = [6, 7];
+
+// Seconds to wait from a Retry-After header or a too_many_requests body
+function retryAfterSeconds(response) {
+  var header = parseInt(response.headers.get('retry-after'), 10);
+  if (!isNaN(header)) {
+    return header;
+  }
+  try {
+    var after = JSON.parse(response.text()).error.retry_after;
+    return typeof after === 'number' ? after : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Make an authenticated request through this.transport (the PAVE proxy or
+ * a direct bearer token)
+ *
+ * Transient failures (429, 5xx and proxy/network errors) are retried
+ * according to this.retry. Requests that change something (creating a
+ * Paper doc, moving a file, adding a member) may already have been applied
+ * when a 5xx or a dropped connection comes back, so they are retried only
+ * on a 429 or when the request never left this machine; set
+ * options.idempotent to override. The number of attempts made is recorded
+ * as `attempts` on the returned response or the thrown error.
+ */
+DropboxClient.prototype.authenticatedRequest = function(url, options) {
+  options = options || {};
+  var idempotent = options.idempotent !== undefined ? !!options.idempotent : this.isIdempotent(url, options);
+  var scope = this.scopeHeaders(url);
+  if (Object.keys(scope).length) {
+    options = Object.assign({}, options, { headers: Object.assign({}, options.headers, scope) });
+  }
+  
+  for (var attempt = 1; ; attempt++) {
+    var response = null;
+    var failure = null;
+    try {
+      response = this.transport.fetch(url, options);
+    } catch (err) {
+      failure = err;
+    }
+    
+    var retryable = failure ? !!failure.transient && (idempotent || !!failure.notSent)
+      : response.status === 429 || (idempotent && isRetryableStatus(response.status));
+    var retryAfter = retryable && !failure ? retryAfterSeconds(response) : null;
+    // Asked to wait longer than the policy allows: report rate_limited
+    // now rather than hold the command for that long
+    if (retryAfter * 1000 > this.retry.maxDelay) {
+      retryable = false;
+    }
+    if (!retryable || attempt > this.retry.maxRetries) {
+      if (failure) {
+        failure.attempts = attempt;
+        throw failure;
+      }
+      response.attempts = attempt;
+      return response;
+    }
+    sleepMs(retryDelay(this.retry, attempt - 1, retryAfter));
+  }
+};
+
+/**
+ * Whether a request can safely be sent again: GETs (such as temporary link
+ * downloads) and the read-only Dropbox endpoints.
+ */
+DropboxClient.prototype.isIdempotent = function(url, options) {
+  var base = url.indexOf(this.apiUrl + '/') === 0 ? this.apiUrl : url.indexOf(this.contentUrl + '/') === 0 ? this.contentUrl : null;
+  if (base === null || (options.method || 'GET') === 'GET') {
+    return true;
+  }
+  return IDEMPOTENT_ENDPOINT.test(url.slice(base.length).split('?')[0]);
+};
+
+/**
+ * Headers that point a request at this.root and this.asMember:
+ * Dropbox-API-Path-Root and Dropbox-API-Select-User. Team endpoints act
+ * for the admin and get neither, nor do temporary links and longpoll.
+ */
+DropboxClient.prototype.scopeHeaders = function(url) {
+  var headers = {};
+  var scoped = url.indexOf(this.apiUrl + '/') === 0 || url.indexOf(this.contentUrl + '/') === 0;
+  if (!scoped || url.indexOf(this.apiUrl + '/team/') === 0) {
+    return headers;
+  }
+  if (this.asMember) {
+    headers['Dropbox-API-Select-User'] = this.teamMemberId();
+  }
+  if (this.root) {
+    headers['Dropbox-API-Path-Root'] = JSON.stringify(this.pathRoot());
+  }
+  return headers;
+};
+
+/**
+ * The Dropbox-API-Path-Root value for this.root. 'team' is the account's
+ * root namespace (the team space for team-space accounts), looked up once.
+ */
+DropboxClient.prototype.pathRoot = function() {
+  if (this.root === 'home') {
+    return { '.tag': 'home' };
+  }
+  if (this.root !== 'team') {
+    return { '.tag': 'namespace_id', namespace_id: String(this.root) };
+  }
+  if (!this._pathRoot) {
+    // The lookup itself runs against the home namespace
+    this._pathRoot = { '.tag': 'home' };
+    try {
+      this._pathRoot = { '.tag': 'root', root: this.getCurrentAccount().root_info.root_namespace_id };
+    } catch (err) {
+      this._pathRoot = null;
+      throw err;
+    }
+  }
+  return this._pathRoot;
+};
+
+/**
+ * The team_member_id for this.asMember: used as is when it is one
+ * (dbmid:...), otherwise looked up by email once.
+ */
+DropboxClient.prototype.teamMemberId = function() {
+  if (this._teamMemberId) {
+    return this._teamMemberId;
+  }
+  if (/^dbmid:/.test(this.asMember)) {
+    this._teamMemberId = this.asMember;
+    return this._teamMemberId;
+  }
+  if (this.asMember.indexOf('@') === -1) {
+    throw typedError('invalid_argument', '--as-member takes an email address or a team member ID (dbmid:...): ' + this.asMember);
+  }
+  var info = this.request('/team/members/get_info_v2', {
+    members: [{ '.tag': 'email', email: this.asMember }]
+  }).members_info[0];
+  if (!info || info['.tag'] !== 'member_info') {
+    throw typedError('not_found', 'No team member with email ' + this.asMember);
+  }
+  this._teamMemberId = info.profile.team_member_id;
+  return this._teamMemberId;
+};
+
+/**
+ * Make an RPC-style request to Dropbox API
+ */
+DropboxClient.prototype.request = function(endpoint, body) {
+  var url = this.apiUrl + endpoint;
+  
+  var options = {
+    method: 'POST',
+    headers: {},
+    timeout: this.timeout
+  };
+  
+  if (body !== null && body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  
+  var response = this.authenticatedRequest(url, options);
+  var text = response.text();
+  
+  if (!response.ok) {
+    throw responseError(response, text, 'API request failed');
+  }
+  
+  return text ? JSON.parse(text) : {};
+};
+
+/**
+ * Make a content download request using a temporary link.
+ *
+ * The PAVE proxy's _domain routing for content.dropboxapi.com is unreliable
+ * (~80% failure rate). Instead, we use /files/get_temporary_link (which works
+ * reliably on the API domain) to get a short-lived direct download URL, then
+ * fetch the file content from dl.dropboxusercontent.com via the proxy.
+ *
+ * For _saveTo mode, we download to a temp file first then move it to the
+ * target path to avoid writing partial/error content to the destination.
+ * An interrupted download leaves the `.download` file in place and the next
+ * attempt (or the next run) resumes it with an HTTP Range request. A fresh
+ * temporary link is fetched when the old one has expired. The finished file
+ * is checked against the Dropbox content_hash before it is moved into place.
+ *
+ * @param {string} endpoint - API endpoint (e.g. '/files/download')
+ * @param {object} apiArg - Dropbox-API-Arg value (must include 'path')
+ * @param {string} [saveTo] - If provided, save to this file path
+ * @param {object} [options] - { verify: false } skips the content hash check
+ */
+DropboxClient.prototype.downloadRequest = function(endpoint, apiArg, saveTo, options) {
+  options = options || {};
+  var filePath = apiArg && apiArg.path;
+  if (!filePath) {
+    throw new Error('Download requires a file path');
+  }
+
+  // Step 1: Get a temporary download link via the API domain (reliable)
+  var linkResult = this.request('/files/get_temporary_link', { path: filePath });
+  var downloadUrl = linkResult.link;
+
+  // Step 2: Download the file content from the temporary link
+  if (saveTo) {
+    var metadata = linkResult.metadata || {};
+    var tmpFile = saveTo + '.download';
+    var stateFile = tmpFile + '.json';
+
+    // Only resume a partial download of the same revision
+    var previous = null;
+    try { previous = JSON.parse(fs.readFileSync(stateFile, 'utf8')); } catch (e) { /* none */ }
+    if (fs.existsSync(tmpFile) && (!previous || previous.rev !== metadata.rev)) {
+      fs.unlinkSync(tmpFile);
+    }
+    // An empty file is complete before the first request
+    if (!fs.existsSync(tmpFile)) {
+      fs.writeFileSync(tmpFile, '');
+    }
+    fs.writeFileSync(stateFile, JSON.stringify({ path: filePath, rev: metadata.rev }));
+
+    var failures = 0;
+    while (true) {
+      var have = fs.existsSync(tmpFile) ? fs.statSync(tmpFile).size : 0;
+      if (metadata.size !== undefined && have >= metadata.size) break;
+
+      var fetched = _curlToFile(downloadUrl, tmpFile, have);
+      if (fetched.status === 416) break;
+      if (fetched.exitCode === 33 && fs.existsSync(tmpFile)) {
+        // Server ignored the Range header: start over
+        fs.unlinkSync(tmpFile);
+      }
+
+      var now = fs.existsSync(tmpFile) ? fs.statSync(tmpFile).size : 0;
+      if (fetched.exitCode === 0 && metadata.size === undefined) break;
+      if (now > have) {
+        failures = 0;
+        continue;
+      }
+
+      failures++;
+      if (failures > this.retry.maxRetries) {
+        var incomplete = new Error('Download incomplete: ' + now + ' of ' + metadata.size + ' bytes received (' +
+          (fetched.error || 'HTTP ' + fetched.status) + '). Run the command again to resume.');
+        incomplete.code = 'network_error';
+        incomplete.attempts = failures;
+        throw incomplete;
+      }
+      if (fetched.status === 403 || fetched.status === 404 || fetched.status === 410) {
+        // Temporary link expired (they last four hours)
+        downloadUrl = this.request('/files/get_temporary_link', { path: filePath }).link;
+      } else {
+        sleepMs(retryDelay(this.retry, failures - 1, null));
+      }
+    }
+
+    if (options.verify !== false) {
+      var actualSize = fs.statSync(tmpFile).size;
+      var actualHash = metadata.content_hash ? computeContentHash(tmpFile) : null;
+      if ((metadata.size !== undefined && actualSize !== metadata.size) ||
+          (actualHash && actualHash !== metadata.content_hash)) {
+        fs.unlinkSync(tmpFile);
+        fs.unlinkSync(stateFile);
+        var err = new Error('Download verification failed for ' + filePath + ': expected ' +
+          metadata.size + ' bytes with content_hash ' + metadata.content_hash + ', got ' +
+          actualSize + ' bytes with content_hash ' + actualHash);
+        err.code = 'integrity_error';
+        err.data = { expected: { size: metadata.size, content_hash: metadata.content_hash },
+          actual: { size: actualSize, content_hash: actualHash } };
+        throw err;
+      }
+    }
+
+    // Move temp file to final destination
+    if (fs.existsSync(saveTo)) {
+      fs.unlinkSync(saveTo);
+    }
+    fs.renameSync(tmpFile, saveTo);
+    fs.unlinkSync(stateFile);
+
+    return { ok: true, status: 200, savedTo: saveTo,
+      headers: { get: function() { return null; } },
+      text: function() { return ''; }, json: function() { return {}; } };
+  }
+
+  // No saveTo: return content in memory
+  var memCmd = 'curl -sS -L --fail --max-time 60 ' + _shellQuote(downloadUrl);
+  var content;
+  for (var attempt = 1; ; attempt++) {
+    try {
+      content = require('child_process').execSync(memCmd, {
+        encoding: 'utf8', timeout: 65000, maxBuffer: 100 * 1024 * 1024,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      break;
+    } catch (err) {
+      if (attempt > this.retry.maxRetries) {
+        var stderr = err.stderr ? err.stderr.toString() : '';
+        var downloadErr = new Error('Download failed: ' + (stderr || err.message));
+        downloadErr.code = 'network_error';
+        downloadErr.attempts = attempt;
+        throw downloadErr;
+      }
+      sleepMs(retryDelay(this.retry, attempt - 1, null));
+    }
+  }
+
+  // Parse the Dropbox-API-Result header from the metadata (not available in
+  // temp link approach, but we have the metadata from get_temporary_link)
+  var metadata = linkResult.metadata || {};
+  var metadataJson = JSON.stringify(metadata);
+
+  return { ok: true, status: 200,
+    headers: { get: function(name) {
+      if (name && name.toLowerCase() === 'dropbox-api-result') return metadataJson;
+      return null;
+    } },
+    text: function() { return content; },
+    json: function() { return JSON.parse(content || '{}'); } };
+};
+
+/**
+ * Make a content upload request
+ */
+DropboxClient.prototype.uploadRequest = function(endpoint, apiArg, content) {
+  var url = this.contentUrl + endpoint;
+  
   var response = this.authenticatedRequest(url, {
     method: 'POST',
     headers: {
       'Dropbox-API-Arg': JSON.stringify(apiArg),
       'Content-Type': 'application/octet-stream'
     },
-    body: content,
+    body: content,
+    // Allow an extra second per 256 KB so large chunks are not cut off
+    timeout: this.timeout + (content ? Math.ceil(content.length / 262144) * 1000 : 0)
+  });
+  
+  var text = response.text();
+  if (!response.ok) {
+    throw responseError(response, text, 'Upload failed');
+  }
+  
+  var data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    data = { error: text };
+  }
+  return data;
+};
+
+/**
+ * Get current account info
+ */
+DropboxClient.prototype.getCurrentAccount = function() {
+  return this.request('/users/get_current_account', null);
+};
+
+/**
+ * List the namespaces the account can reach: its root and home namespace
+ * and every shared and team folder, mounted or not. With options.team the
+ * whole team's namespaces are listed instead (needs a team admin token).
+ *
+ * @param {object} [options] - { team }
+ * @returns {Array} [{ namespace_id, name, type, path, team_member_id }]
+ *   where path is null for a folder that is not mounted
+ */
+DropboxClient.prototype.listNamespaces = function(options) {
+  options = options || {};
+  var self = this;
+  var namespaces = [];
+
+  if (options.team) {
+    followCursor(this.request('/team/namespaces/list', { limit: 1000 }), function(cursor) {
+      return self.request('/team/namespaces/list/continue', { cursor: cursor });
+    }, 'namespaces', null, function(items) {
+      items.forEach(function(ns) {
+        namespaces.push({
+          namespace_id: ns.namespace_id,
+          name: ns.name,
+          type: ns.namespace_type['.tag'],
+          path: null,
+          team_member_id: ns.team_member_id || null
+        });
+      });
+    });
+    return namespaces;
+  }
+
+  var rootInfo = this.getCurrentAccount().root_info || {};
+  if (rootInfo.root_namespace_id && rootInfo.root_namespace_id !== rootInfo.home_namespace_id) {
+    namespaces.push({ namespace_id: rootInfo.root_namespace_id, name: 'Team space', type: 'team_root', path: null });
+  }
+  namespaces.push({ namespace_id: rootInfo.home_namespace_id, name: 'Home', type: 'home', path: rootInfo.home_path || '' });
+  followCursor(this.request('/sharing/list_folders', { limit: 1000 }), function(cursor) {
+    return self.request('/sharing/list_folders/continue', { cursor: cursor });
+  }, 'entries', null, function(items) {
+    items.forEach(function(folder) {
+      namespaces.push({
+        namespace_id: folder.shared_folder_id,
+        name: folder.name,
+        type: folder.is_team_folder ? 'team_folder' : 'shared_folder',
+        path: folder.path_lower || null,
+        access: folder.access_type ? folder.access_type['.tag'] : null
+      });
+    });
+  });
+  return namespaces;
+};
+
+/**
+ * List folder contents
+ */
+DropboxClient.prototype.listFolder = function(folderPath, options) {
+  options = options || {};
+  return this.request('/files/list_folder', {
+    path: folderPath || '',
+    recursive: options.recursive || false,
+    include_media_info: options.includeMediaInfo || false,
+    include_deleted: options.includeDeleted || false,
+    include_has_explicit_shared_members: false,
+    include_mounted_folders: true,
+    limit: options.limit || 100
+  });
+};
+
+/**
+ * Continue listing folder contents
+ */
+DropboxClient.prototype.listFolderContinue = function(cursor) {
+  return this.request('/files/list_folder/continue', { cursor: cursor });
+};
+
+/**
+ * List every entry in a folder, following the cursor page by page.
+ * Pages are handed to onPage as they arrive so output can be streamed.
+ *
+ * @param {string} folderPath - Folder to list ('' for root)
+ * @param {object} [options] - listFolder options plus maxItems
+ * @param {function} onPage - Called with (entries, page) for each page
+ * @returns {object} { count, has_more, cursor }
+ */
+DropboxClient.prototype.listFolderAll = function(folderPath, options, onPage) {
+  options = options || {};
+  var self = this;
+  return followCursor(this.listFolder(folderPath, options), function(cursor) {
+    return self.listFolderContinue(cursor);
+  }, 'entries', options.maxItems, onPage);
+};
+
+/**
+ * Get a cursor for the current state of a folder without listing it, to
+ * be used with longpoll() and listFolderContinue() to see later changes.
+ */
+DropboxClient.prototype.getLatestCursor = function(folderPath, recursive) {
+  return this.request('/files/list_folder/get_latest_cursor', {
+    path: folderPath || '',
+    recursive: !!recursive,
+    include_deleted: false,
+    include_mounted_folders: true
+  }).cursor;
+};
+
+/**
+ * Block until something changes under a cursor or the timeout passes.
+ *
+ * The notify endpoint takes no token (the cursor identifies the folder),
+ * so it is called directly rather than through the auth proxy. Dropbox
+ * may add up to 90 seconds of jitter to the timeout.
+ *
+ * @param {string} cursor - From getLatestCursor() or listFolderContinue()
+ * @param {number} timeoutSeconds - 30 to 480
+ * @returns {object} { changes, backoff }
+ */
+DropboxClient.prototype.longpoll = function(cursor, timeoutSeconds) {
+  var body = JSON.stringify({ cursor: cursor, timeout: timeoutSeconds });
+  var cmd = 'curl -sS -X POST --max-time ' + (timeoutSeconds + 120) +
+    " -H 'Content-Type: application/json' -w '\\n%{http_code}' -d " + _shellQuote(body) + ' ' +
+    _shellQuote(this.notifyUrl + '/files/list_folder/longpoll');
+  
+  for (var attempt = 1; ; attempt++) {
+    var failure = null;
+    var out = '';
+    try {
+      out = require('child_process').execSync(cmd, {
+        encoding: 'utf8', timeout: (timeoutSeconds + 125) * 1000, stdio: ['pipe', 'pipe', 'pipe']
+      });
+    } catch (err) {
+      failure = new Error('Longpoll failed: ' + (err.stderr ? err.stderr.toString().trim() : err.message));
+      failure.code = 'network_error';
+    }
+    
+    var status = 0;
+    if (!failure) {
+      var split = out.lastIndexOf('\n');
+      status = parseInt(out.slice(split + 1), 10);
+      out = out.slice(0, split);
+      if (status >= 200 && status < 300) {
+        return JSON.parse(out);
+      }
+      failure = responseError({ status: status, attempts: attempt }, out, 'Longpoll failed');
+    }
+    failure.attempts = attempt;
+    if ((status && !isRetryableStatus(status)) || attempt > this.retry.maxRetries) {
+      throw failure;
+    }
+    sleepMs(retryDelay(this.retry, attempt - 1, null));
+  }
+};
+
+/**
+ * Turn a changed entry from list_folder/continue into a watch event.
+ * Dropbox does not say whether a file is new, so a file already seen in
+ * `known` (file id -> path_lower, updated here) is reported as modified,
+ * and one not seen yet is if it has more than one revision.
+ */
+DropboxClient.prototype.changeEvent = function(entry, known) {
+  var tag = entry['.tag'];
+  var event = {
+    event: 'added',
+    type: tag === 'deleted' ? null : tag,
+    path: entry.path_display,
+    id: entry.id,
+    rev: entry.rev,
+    size: entry.size,
+    server_modified: entry.server_modified,
+    time: new Date().toISOString()
+  };
+  if (tag === 'deleted') {
+    event.event = 'deleted';
+    if (known) {
+      // A deleted folder takes the files under it along
+      Object.keys(known).forEach(function(id) {
+        if (known[id] === entry.path_lower || known[id].indexOf(entry.path_lower + '/') === 0) {
+          delete known[id];
+        }
+      });
+    }
+  } else if (tag === 'file' && known && known.hasOwnProperty(entry.id)) {
+    event.event = 'modified';
+  } else if (tag === 'file') {
+    try {
+      if (this.listRevisions(entry.id || entry.path_lower, 2).entries.length > 1) {
+        event.event = 'modified';
+      }
+    } catch (err) {
+      // Files without revision history (e.g. in app folders) count as added
+      if (classifyError(err) !== 'not_found') throw err;
+    }
+  }
+  if (tag === 'file' && known) {
+    known[entry.id] = entry.path_lower;
+  }
+  return event;
+};
+
+/**
+ * Watch a folder for changes: long-poll for a change, then read every
+ * changed entry, until stopped. Files seen change once are remembered for
+ * the rest of the run, so their later changes cost no revisions lookup.
+ *
+ * @param {string} folderPath - Folder to watch ('' for root)
+ * @param {object} options - { recursive, cursor, once, timeout (seconds),
+ *   onEvent(event), onCursor(cursor) }
+ *   With a saved cursor and `once`, changes since that cursor are read
+ *   straight away; otherwise `once` waits for one batch of changes.
+ */
+DropboxClient.prototype.watchFolder = function(folderPath, options) {
+  var cursor = options.cursor;
+  var known = {};
+  var resumed = !!cursor;
+  if (!cursor) {
+    cursor = this.getLatestCursor(folderPath, options.recursive);
+    options.onCursor(cursor);
+  }
+  
+  while (true) {
+    if (!(resumed && options.once)) {
+      var poll = this.longpoll(cursor, options.timeout || 300);
+      if (poll.backoff) {
+        sleepMs(poll.backoff * 1000);
+      }
+      if (!poll.changes) {
+        if (options.once) return;
+        continue;
+      }
+    }
+    
+    var page;
+    do {
+      try {
+        page = this.listFolderContinue(cursor);
+      } catch (err) {
+        if (describeFailure(safeGet(err, 'data.error', null)) !== 'reset') throw err;
+        // The cursor is no longer valid: start again from now and let the
+        // caller know it may have missed changes
+        cursor = this.getLatestCursor(folderPath, options.recursive);
+        options.onCursor(cursor);
+        options.onEvent({ event: 'reset', type: null, path: folderPath, time: new Date().toISOString() });
+        break;
+      }
+      for (var i = 0; i < page.entries.length; i++) {
+        options.onEvent(this.changeEvent(page.entries[i], known));
+      }
+      cursor = page.cursor;
+      options.onCursor(cursor);
+    } while (page && page.has_more);
+    
+    if (options.once) return;
+  }
+};
+
+// File categories search_v2 accepts in file_categories
+var SEARCH_CATEGORIES = ['image', 'document', 'pdf', 'spreadsheet', 'presentation', 'audio', 'video', 'folder', 'paper', 'others'];
+var SEARCH_SORTS = ['relevance', 'modified', 'size'];
+
+/**
+ * Turn a --modified-after/--modified-before value into a timestamp. Accepts
+ * a duration back from now ("12h", "7d", "1mo") or anything Date can parse.
+ */
+function parseSearchDate(value, option) {
+  var date = parseTimeOption(value, -1);
+  if (!date) {
+    throw typedError('invalid_argument', 'Invalid --' + option + ' "' + value + '" (use e.g. 7d, 1mo or 2026-10-01)');
+  }
+  return date.getTime();
+}
+
+// Bytes from a --min-size/--max-size value such as 500, 200KB or 1.5MB
+function parseSizeOption(value, option) {
+  var m = String(value).match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i);
+  if (!m) {
+    throw typedError('invalid_argument', 'Invalid --' + option + ' "' + value + '" (use e.g. 500KB or 10MB)');
+  }
+  return Math.round(parseFloat(m[1]) * { '': 1, k: 1024, m: 1048576, g: 1073741824 }[m[2].toLowerCase()]);
+}
+
+/**
+ * Apply the filters Dropbox search cannot (modified date and size) and the
+ * size sort to a search_v2 response. Folders have neither, so they are
+ * dropped when a date or size filter is set. Dates are server_modified.
+ *
+ * @param {object} result - search_v2 response
+ * @param {object} options - { modifiedAfter, modifiedBefore, minSize, maxSize (ms / bytes), sort }
+ * @returns {object} The response with its matches filtered and sorted
+ */
+function filterSearchMatches(result, options) {
+  var filtered = options.modifiedAfter !== undefined || options.modifiedBefore !== undefined ||
+    options.minSize !== undefined || options.maxSize !== undefined;
+  if (!filtered && options.sort !== 'size') {
+    return result;
+  }
+  var metadataOf = function(match) { return safeGet(match, 'metadata.metadata', null) || match.metadata || {}; };
+  var matches = (result.matches || []).filter(function(match) {
+    if (!filtered) return true;
+    var metadata = metadataOf(match);
+    if (metadata['.tag'] !== 'file') return false;
+    var modified = new Date(metadata.server_modified).getTime();
+    return !(options.modifiedAfter !== undefined && !(modified >= options.modifiedAfter)) &&
+      !(options.modifiedBefore !== undefined && !(modified < options.modifiedBefore)) &&
+      !(options.minSize !== undefined && metadata.size < options.minSize) &&
+      !(options.maxSize !== undefined && metadata.size > options.maxSize);
+  });
+  if (options.sort === 'size') {
+    matches.sort(function(a, b) { return (metadataOf(b).size || 0) - (metadataOf(a).size || 0); });
+  }
+  var copy = {};
+  Object.keys(result).forEach(function(key) { copy[key] = result[key]; });
+  copy.matches = matches;
+  return copy;
+}
+
+/**
+ * Search files and folders with search_v2.
+ *
+ * Dropbox filters by path, extension, category and (with filenameOnly)
+ * name; modified date and size are filtered here. Sorting by 'modified'
+ * is done by Dropbox (newest first), by 'size' here (largest first).
+ * Highlight spans are requested for every match.
+ *
+ * When the date or size filters drop matches, further pages are fetched
+ * until maxResults matches pass or Dropbox has no more.
+ *
+ * @param {string} query - Search query
+ * @param {object} [options] - { maxResults, path, fileExtensions, fileCategories,
+ *   filenameOnly, sort, modifiedAfter, modifiedBefore, minSize, maxSize }
+ */
+DropboxClient.prototype.search = function(query, options) {
+  options = options || {};
+  var max = options.maxResults || 20;
+  var result = this.searchPage(query, options);
+  while (result.matches.length < max && result.has_more) {
+    var more = filterSearchMatches(this.searchContinue(result.cursor), options);
+    result.matches = result.matches.concat(more.matches);
+    result.has_more = more.has_more;
+    result.cursor = more.cursor;
+  }
+  if (options.sort === 'size') {
+    result.matches = filterSearchMatches({ matches: result.matches }, { sort: 'size' }).matches;
+  }
+  if (result.matches.length > max) {
+    // The cursor is past the matches cut off here; --all sees every one
+    result.matches = result.matches.slice(0, max);
+    result.has_more = true;
+  }
+  return result;
+};
+
+// The first page of a search, with the local filters applied
+DropboxClient.prototype.searchPage = function(query, options) {
+  var body = {
+    query: query,
+    options: {
+      max_results: options.maxResults || 20,
+      file_status: 'active'
+    },
+    match_field_options: {
+      include_highlights: true
+    }
+  };
+  
+  if (options.path) {
+    body.options.path = options.path;
+  }
+  
+  if (options.fileExtensions) {
+    body.options.file_extensions = options.fileExtensions;
+  }
+  
+  if (options.fileCategories) {
+    body.options.file_categories = options.fileCategories.map(function(category) {
+      return typeof category === 'string' ? { '.tag': category } : category;
+    });
+  }
+  
+  if (options.filenameOnly) {
+    body.options.filename_only = true;
+  }
+  
+  if (options.sort === 'modified') {
+    body.options.order_by = { '.tag': 'last_modified_time' };
+  }
+  
+  var result = Object.assign({}, filterSearchMatches(this.request('/files/search_v2', body), options));
+  result.matches = result.matches || [];
+  return result;
+};
+
+/**
+ * Continue a search started with search()
+ */
+DropboxClient.prototype.searchContinue = function(cursor) {
+  return this.request('/files/search/continue_v2', { cursor: cursor });
+};
+
+/**
+ * Run a search and follow its cursor through every result page.
+ *
+ * With sort 'size' nothing can be emitted until every page is in, so the
+ * matches arrive as a single sorted page at the end.
+ *
+ * @param {string} query - Search query
+ * @param {object} [options] - search options plus maxItems
+ * @param {function} onPage - Called with (matches, page) for each page
+ * @returns {object} { count, has_more, cursor }
+ */
+DropboxClient.prototype.searchAll = function(query, options, onPage) {
+  options = options || {};
+  var self = this;
+  var next = function(cursor) {
+    return filterSearchMatches(self.searchContinue(cursor), options);
+  };
+  if (options.sort !== 'size') {
+    return followCursor(this.searchPage(query, options), next, 'matches', options.maxItems, onPage);
+  }
+  
+  var all = [];
+  var totals = followCursor(this.searchPage(query, options), next, 'matches', 0, function(matches) {
+    all = all.concat(matches);
+  });
+  var sorted = filterSearchMatches({ matches: all }, { sort: 'size' }).matches;
+  var max = options.maxItems || sorted.length;
+  var page = { matches: sorted.slice(0, max), has_more: sorted.length > max, cursor: totals.cursor };
+  onPage(page.matches, page);
+  return { count: page.matches.length, has_more: page.has_more, cursor: totals.cursor };
+};
+
+/**
+ * Get file metadata
+ */
+DropboxClient.prototype.getMetadata = function(filePath) {
+  return this.request('/files/get_metadata', {
+    path: filePath,
+    include_media_info: true
+  });
+};
+
+/**
+ * Poll an async job until it is no longer in progress.
+ *
+ * Batch endpoints either finish immediately ('.tag' complete) or return an
+ * async_job_id that has to be polled through a matching /check endpoint.
+ *
+ * @param {string} checkEndpoint - e.g. '/files/move_batch/check_v2'
+ * @param {object} launch - Result of the call that started the job
+ * @returns {object} Final job status
+ */
+DropboxClient.prototype.waitForJob = function(checkEndpoint, launch) {
+  if (!launch || launch['.tag'] !== 'async_job_id') {
+    return launch;
+  }
+  
+  var delay = 500;
+  var deadline = Date.now() + this.jobTimeout;
+  while (true) {
+    var status = this.request(checkEndpoint, { async_job_id: launch.async_job_id });
+    if (status['.tag'] !== 'in_progress') {
+      return status;
+    }
+    if (Date.now() + delay > deadline) {
+      throw new Error('Timed out waiting for job ' + launch.async_job_id);
+    }
+    sleepMs(delay);
+    delay = Math.min(delay * 2, 5000);
+  }
+};
+
+/**
+ * Create a folder
+ */
+DropboxClient.prototype.createFolder = function(folderPath, autorename) {
+  return this.request('/files/create_folder_v2', {
+    path: folderPath,
+    autorename: autorename || false
+  });
+};
+
+/**
+ * Create several folders in one batch job
+ * @returns {object} { entries, succeeded, failed }
+ */
+DropboxClient.prototype.createFolders = function(folderPaths, autorename) {
+  var launch = this.request('/files/create_folder_batch', {
+    paths: folderPaths,
+    autorename: autorename || false,
+    force_async: false
+  });
+  var job = this.waitForJob('/files/create_folder_batch/check', launch);
+  return summarizeBatch(folderPaths.map(function(p) { return { path: p }; }), job);
+};
+
+/**
+ * Move a file or folder
+ */
+DropboxClient.prototype.movePath = function(fromPath, toPath, autorename) {
+  return this.request('/files/move_v2', {
+    from_path: fromPath,
+    to_path: toPath,
+    autorename: autorename || false,
+    allow_ownership_transfer: false
+  });
+};
+
+/**
+ * Copy a file or folder
+ */
+DropboxClient.prototype.copyPath = function(fromPath, toPath, autorename) {
+  return this.request('/files/copy_v2', {
+    from_path: fromPath,
+    to_path: toPath,
+    autorename: autorename || false
+  });
+};
+
+/**
+ * Delete a file or folder
+ */
+DropboxClient.prototype.deletePath = function(targetPath) {
+  return this.request('/files/delete_v2', { path: targetPath });
+};
+
+/**
+ * Move several entries in one batch job
+ * @param {Array} entries - [{ from_path, to_path }]
+ * @returns {object} { entries, succeeded, failed }
+ */
+DropboxClient.prototype.moveBatch = function(entries, autorename) {
+  var self = this;
+  return chunkedBatch(entries, function(chunk) {
+    var launch = self.request('/files/move_batch_v2', {
+      entries: chunk,
+      autorename: autorename || false,
+      allow_ownership_transfer: false
+    });
+    return summarizeBatch(chunk, self.waitForJob('/files/move_batch/check_v2', launch));
+  });
+};
+
+/**
+ * Copy several entries in one batch job
+ * @param {Array} entries - [{ from_path, to_path }]
+ * @returns {object} { entries, succeeded, failed }
+ */
+DropboxClient.prototype.copyBatch = function(entries, autorename) {
+  var self = this;
+  return chunkedBatch(entries, function(chunk) {
+    var launch = self.request('/files/copy_batch_v2', {
+      entries: chunk,
+      autorename: autorename || false
+    });
+    return summarizeBatch(chunk, self.waitForJob('/files/copy_batch/check_v2', launch));
+  });
+};
+
+/**
+ * Delete several entries in one batch job
+ * @returns {object} { entries, succeeded, failed }
+ */
+DropboxClient.prototype.deleteBatch = function(paths) {
+  var self = this;
+  return chunkedBatch(paths.map(function(p) { return { path: p }; }), function(chunk) {
+    var launch = self.request('/files/delete_batch', { entries: chunk });
+    return summarizeBatch(chunk, self.waitForJob('/files/delete_batch/check', launch));
+  });
+};
+
+/**
+ * Upload a local file to Dropbox.
+ *
+ * Files larger than one chunk are sent through an upload session
+ * (start, append_v2, finish) instead of a single /files/upload request,
+ * which Dropbox caps at 150 MB.
+ *
+ * @param {string} localPath - Local file to upload
+ * @param {string} dropboxPath - Destination path in Dropbox
+ * @param {string} [mode] - 'add', 'overwrite' (default) or 'update'
+ * @param {object} [options] - { chunkSize, onProgress(sent, total) }
+ */
+DropboxClient.prototype.uploadFile = function(localPath, dropboxPath, mode, options) {
+  options = options || {};
+  var commit = {
+    path: dropboxPath,
+    mode: mode || 'overwrite',
+    autorename: false,
+    mute: false
+  };
+  
+  var chunkSize = Math.min(options.chunkSize || UPLOAD_CHUNK_SIZE, MAX_SINGLE_UPLOAD);
+  if (fs.statSync(localPath).size > chunkSize) {
+    return this.uploadSession(localPath, commit, chunkSize, options);
+  }
+  
+  var content = fs.readFileSync(localPath);
+  return this.uploadRequest('/files/upload', commit, content);
+};
+
+/**
+ * Upload a local file in chunks through an upload session.
+ *
+ * Each chunk is retried on transient failures by the request layer. When
+ * Dropbox reports an incorrect_offset (a chunk arrived but its response was
+ * lost), the upload resumes from the offset the server says it has.
+ *
+ * @param {string} localPath - Local file to upload
+ * @param {object} commit - CommitInfo for /files/upload_session/finish
+ * @param {number} chunkSize - Bytes per request
+ * @param {object} [options] - { onProgress(sent, total) }
+ */
+DropboxClient.prototype.uploadSession = function(localPath, commit, chunkSize, options) {
+  options = options || {};
+  var onProgress = options.onProgress || function() {};
+  var size = fs.statSync(localPath).size;
+  var fd = fs.openSync(localPath, 'r');
+  
+  function readChunk(offset) {
+    var length = Math.min(chunkSize, size - offset);
+    var buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, offset);
+    return buffer;
+  }
+  
+  try {
+    var first = readChunk(0);
+    var sessionId = this.uploadRequest('/files/upload_session/start', { close: false }, first).session_id;
+    var offset = first.length;
+    onProgress(offset, size);
+    
+    while (true) {
+      var isLast = size - offset <= chunkSize;
+      var chunk = readChunk(offset);
+      var cursor = { session_id: sessionId, offset: offset };
+      try {
+        var result = isLast
+          ? this.uploadRequest('/files/upload_session/finish', { cursor: cursor, commit: commit }, chunk)
+          : this.uploadRequest('/files/upload_session/append_v2', { cursor: cursor, close: false }, chunk);
+        offset += chunk.length;
+        onProgress(offset, size);
+        if (isLast) {
+          return result;
+        }
+      } catch (err) {
+        var correctOffset = findCorrectOffset(err);
+        if (correctOffset === null || correctOffset === offset) {
+          throw err;
+        }
+        offset = correctOffset;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Download a file
+ * @param {string} filePath - Dropbox file path or ID
+ * @param {string} [saveTo] - If provided, save to this local file, or into this folder (see outputPath)
+ * @param {object} [options] - { verify: false } skips the content hash check
+ */
+DropboxClient.prototype.downloadFile = function(filePath, saveTo, options) {
+  if (saveTo) {
+    saveTo = outputPath(saveTo, path.posix.basename(filePath));
+  }
+  var response = this.downloadRequest('/files/download', { path: filePath }, saveTo, options);
+  if (saveTo && response.savedTo) {
+    return response.savedTo;
+  }
+  return response.text();
+};
+
+// Thumbnail sizes /files/get_thumbnail_v2 accepts, and the ways the image
+// is fitted into them
+var THUMBNAIL_SIZES = ['w32h32', 'w64h64', 'w128h128', 'w256h256', 'w480h320', 'w640h480',
+  'w960h640', 'w1024h768', 'w2048h1536'];
+var THUMBNAIL_MODES = ['strict', 'bestfit', 'fitone_bestfit'];
+
+// Extensions /files/get_preview renders as HTML; other previewable files
+// (Office documents, .rtf, .ai, ...) come back as PDF
+var PREVIEW_HTML_EXTENSIONS = ['csv', 'ods', 'xls', 'xlsm', 'xlsx'];
+
+/**
+ * Check thumbnail options and turn them into the unions the API expects.
+ * Sizes may be given as "w640h480" or "640x480".
+ *
+ * @param {object} [options] - { size, format, mode }
+ * @returns {object} { format, size, mode } as { '.tag': ... } values
+ */
+function thumbnailArgs(options) {
+  options = options || {};
+  var size = String(options.size || 'w256h256').replace(/^(\d+)x(\d+)$/, 'w$1h$2');
+  var format = options.format || 'jpeg';
+  var mode = options.mode || 'strict';
+  var problem = THUMBNAIL_SIZES.indexOf(size) === -1 ? 'Thumbnail size must be one of: ' + THUMBNAIL_SIZES.join(', ')
+    : ['jpeg', 'png'].indexOf(format) === -1 ? 'Thumbnail format must be jpeg or png'
+    : THUMBNAIL_MODES.indexOf(mode) === -1 ? 'Thumbnail mode must be one of: ' + THUMBNAIL_MODES.join(', ')
+    : null;
+  if (problem) {
+    throw typedError('invalid_argument', problem);
+  }
+  return { format: { '.tag': format }, size: { '.tag': size }, mode: { '.tag': mode } };
+}
+
+// Local file name for a rendering of a Dropbox file: "Deck.pptx" -> "Deck.pdf"
+function renditionName(filePath, extension) {
+  return path.posix.basename(filePath).replace(/\.[^.]*$/, '') + '.' + extension;
+}
+
+// Where --output puts a file: inside it when it is a folder (created if it
+// ends in a slash), otherwise at that path. Shared by download, thumbnail
+// and preview.
+function outputPath(output, name) {
+  if (/[\/\\]$/.test(output)) {
+    fs.mkdirSync(output, { recursive: true });
+  }
+  if (fs.existsSync(output) && fs.statSync(output).isDirectory()) {
+    return path.join(output, name);
+  }
+  return output;
+}
+
+// Thumbnails and previews saved without --output go into a folder of their
+// own in the cache directory rather than loose in the temp directory
+function renditionDir() {
+  return privateDir(path.join(cacheDir(), 'renditions'));
+}
+
+/**
+ * Send a download-style request to a content endpoint and save the body to
+ * a local file. An error body is never left behind in place of the file.
+ *
+ * @returns {object} { saved_to, metadata } (metadata when the transport
+ *   passes the Dropbox-API-Result header back)
+ */
+DropboxClient.prototype.contentToFile = function(endpoint, apiArg, saveTo, fallbackMessage) {
+  saveTo = path.resolve(saveTo);
+  fs.mkdirSync(path.dirname(saveTo), { recursive: true });
+  var response = this.authenticatedRequest(this.contentUrl + endpoint, {
+    method: 'POST',
+    headers: {
+      'Dropbox-API-Arg': JSON.stringify(apiArg),
+      'Content-Type': 'application/octet-stream'
+    },
+    timeout: this.timeout,
+    saveTo: saveTo
+  });
+  if (!response.ok) {
+    var text = response.text();
+    if (fs.existsSync(saveTo)) {
+      text = text || fs.readFileSync(saveTo, 'utf8');
+      fs.unlinkSync(saveTo);
+    }
+    throw responseError(response, text, fallbackMessage);
+  }
+  var metadata = null;
+  try { metadata = JSON.parse(response.headers.get('dropbox-api-result')); } catch (e) { /* no header */ }
+  return { saved_to: response.savedTo || saveTo, metadata: metadata };
+};
+
+/**
+ * Save a thumbnail of an image, video or PDF.
+ *
+ * @param {string} filePath - Dropbox file path or ID
+ * @param {string} [saveTo] - Local file or folder (default: <name>.<format> in renditionDir())
+ * @param {object} [options] - { size, format, mode } (see thumbnailArgs)
+ * @returns {object} { path, saved_to, metadata }
+ */
+DropboxClient.prototype.getThumbnail = function(filePath, saveTo, options) {
+  var args = thumbnailArgs(options);
+  saveTo = outputPath(saveTo || renditionDir(), renditionName(filePath, args.format['.tag']));
+  var saved = this.contentToFile('/files/get_thumbnail_v2', Object.assign({
+    resource: { '.tag': 'path', path: filePath }
+  }, args), saveTo, 'Thumbnail failed');
+  return { path: filePath, saved_to: saved.saved_to, metadata: saved.metadata };
+};
+
+/**
+ * Save thumbnails of many files into a folder, 25 files per request.
+ * A file that has no thumbnail is reported as failed without stopping the
+ * others.
+ *
+ * @param {Array} filePaths - Dropbox file paths
+ * @param {string} [outputDir] - Local folder for the images (default: renditionDir())
+ * @param {object} [options] - { size, format, mode } (see thumbnailArgs)
+ * @returns {object} { entries: [{ path, ok, saved_to | error, code }], succeeded, failed }
+ */
+DropboxClient.prototype.getThumbnailBatch = function(filePaths, outputDir, options) {
+  var args = thumbnailArgs(options);
+  var format = args.format['.tag'];
+  var summary = { entries: [], succeeded: 0, failed: 0 };
+  var used = {};
+  outputDir = outputDir || renditionDir();
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  for (var start = 0; start < filePaths.length; start += 25) {
+    var chunk = filePaths.slice(start, start + 25);
+    var response = this.authenticatedRequest(this.contentUrl + '/files/get_thumbnail_batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ entries: chunk.map(function(filePath) {
+        return Object.assign({ path: filePath }, args);
+      }) }),
+      timeout: this.timeout * 2
+    });
+    var text = response.text();
+    if (!response.ok) {
+      throw responseError(response, text, 'Thumbnail batch failed');
+    }
+
+    JSON.parse(text).entries.forEach(function(entry, i) {
+      var item = { path: chunk[i] };
+      if (entry['.tag'] === 'success') {
+        // Files with the same name in different folders get a counter
+        var name = renditionName(chunk[i], format);
+        var base = name.toLowerCase();
+        used[base] = (used[base] || 0) + 1;
+        if (used[base] > 1) {
+          name = name.replace(/(\.[^.]*)$/, '-' + used[base] + '$1');
+        }
+        item.saved_to = path.resolve(outputDir, name);
+        fs.writeFileSync(item.saved_to, Buffer.from(entry.thumbnail, 'base64'));
+        item.ok = true;
+        summary.succeeded++;
+      } else {
+        item.ok = false;
+        item.error = describeFailure(entry.failure || entry);
+        item.code = errorTypeFromSummary(item.error);
+        summary.failed++;
+      }
+      summary.entries.push(item);
+    });
+  }
+  return summary;
+};
+
+/**
+ * Save a preview rendering of a document: PDF for Office and other
+ * documents, HTML for spreadsheets and CSV.
+ *
+ * @param {string} filePath - Dropbox file path or ID
+ * @param {string} [saveTo] - Local file or folder (default: <name>.pdf or .html in renditionDir())
+ * @param {object} [options] - { rev }
+ * @returns {object} { path, saved_to, format, metadata }
+ */
+DropboxClient.prototype.getPreview = function(filePath, saveTo, options) {
+  options = options || {};
+  var extension = path.posix.extname(filePath).slice(1).toLowerCase();
+  var format = PREVIEW_HTML_EXTENSIONS.indexOf(extension) !== -1 ? 'html' : 'pdf';
+  saveTo = outputPath(saveTo || renditionDir(), renditionName(filePath, format));
+  var apiArg = { path: filePath };
+  if (options.rev) {
+    apiArg.rev = options.rev;
+  }
+  var saved = this.contentToFile('/files/get_preview', apiArg, saveTo, 'Preview failed');
+  return { path: filePath, saved_to: saved.saved_to, format: format, metadata: saved.metadata };
+};
+
+/**
+ * List the revisions of a file, newest first.
+ * @param {string} filePath - Dropbox file path or ID
+ * @param {number} [limit] - Revisions to return (default: 10, max: 100)
+ * @returns {object} { is_deleted, entries }
+ */
+DropboxClient.prototype.listRevisions = function(filePath, limit) {
+  return this.request('/files/list_revisions', {
+    path: filePath,
+    mode: 'path',
+    limit: limit || 10
+  });
+};
+
+/**
+ * Look up display names for a list of account IDs.
+ * @returns {object} Map of account_id -> display name
+ */
+DropboxClient.prototype.getAccountNames = function(accountIds) {
+  var names = {};
+  var unique = accountIds.filter(function(id, i) { return id && accountIds.indexOf(id) === i; });
+  if (!unique.length) {
+    return names;
+  }
+  this.request('/users/get_account_batch', { account_ids: unique }).forEach(function(account) {
+    names[account.account_id] = safeGet(account, 'name.display_name', account.email);
+  });
+  return names;
+};
+
+/**
+ * Restore a file to an earlier revision. The restored content becomes a
+ * new revision, so a restore can itself be undone.
+ */
+DropboxClient.prototype.restoreFile = function(filePath, rev) {
+  return this.request('/files/restore', { path: filePath, rev: rev });
+};
+
+/**
+ * Get the text of one revision of a file. Paper docs are exported as
+ * markdown and normalised with paperToMarkdown so diffs show content
+ * changes rather than export noise.
+ */
+DropboxClient.prototype.getRevisionText = function(filePath, rev) {
+  var target = rev ? 'rev:' + rev : filePath;
+  if (/\.paper$/i.test(filePath)) {
+    return paperToMarkdown(this.exportPaperDoc(target, 'markdown').content, { docPath: filePath });
+  }
+  return this.downloadFile(target);
+};
+
+/**
+ * Index the files under a Dropbox folder by lower-cased relative path.
+ * A folder that does not exist yet is treated as empty.
+ *
+ * @returns {object} Map of key -> { path, remotePath, size, content_hash, downloadable }
+ */
+DropboxClient.prototype.listRemoteFiles = function(remoteDir) {
+  var root = remoteDir.replace(/\/+$/, '');
+  var files = {};
+  try {
+    this.listFolderAll(root, { recursive: true, limit: 2000 }, function(entries) {
+      entries.forEach(function(entry) {
+        if (entry['.tag'] !== 'file') return;
+        var rel = entry.path_display.slice(root.length + 1);
+        files[rel.toLowerCase()] = {
+          path: rel,
+          remotePath: entry.path_display,
+          size: entry.size,
+          content_hash: entry.content_hash,
+          downloadable: entry.is_downloadable !== false
+        };
+      });
+    });
+  } catch (err) {
+    if (classifyError(err) !== 'not_found') throw err;
+  }
+  return files;
+};
+
+/**
+ * Mirror a local directory to a Dropbox folder ('push') or back ('pull').
+ *
+ * Files are compared by size and Dropbox content_hash, never timestamps,
+ * so unchanged files are skipped without transferring anything. Files that
+ * cannot be downloaded (Paper docs) are left alone in both directions.
+ *
+ * @param {string} direction - 'push' or 'pull'
+ * @param {string} localDir - Local directory
+ * @param {string} remoteDir - Dropbox folder
+ * @param {object} [options] - { dryRun, deleteExtraneous, filter(relPath),
+ *   onAction(action, relPath, error) }
+ * @returns {object} { created, updated, skipped, deleted, failed } lists of relative paths
+ *   (failed entries are { path, action, error, code })
+ */
+DropboxClient.prototype.sync = function(direction, localDir, remoteDir, options) {
+  options = options || {};
+  var self = this;
+  var filter = options.filter || function() { return true; };
+  var onAction = options.onAction || function() {};
+  var push = direction === 'push';
+  var remoteRoot = remoteDir.replace(/\/+$/, '');
+  var local = listLocalFiles(localDir);
+  var remote = this.listRemoteFiles(remoteRoot);
+  var result = { direction: direction, local: localDir, remote: remoteRoot || '/', dry_run: !!options.dryRun,
+    created: [], updated: [], skipped: [], deleted: [], failed: [] };
+  
+  function record(action, relPath, fn) {
+    if (!options.dryRun) {
+      try {
+        fn();
+      } catch (err) {
+        result.failed.push({ path: relPath, action: action, error: err.message, code: classifyError(err) });
+        onAction('failed', relPath, err);
+        return;
+      }
+    }
+    result[action].push(relPath);
+    onAction(action, relPath);
+  }
+  
+  function sameContent(localFile, remoteFile) {
+    return localFile.size === remoteFile.size &&
+      computeContentHash(localFile.localPath) === remoteFile.content_hash;
+  }
+  
+  var source = push ? local : remote;
+  var target = push ? remote : local;
+  Object.keys(source).sort().forEach(function(key) {
+    var item = source[key];
+    if (!filter(item.path) || item.downloadable === false) return;
+    var existing = target[key];
+    if (existing && existing.downloadable === false) return;
+    if (existing && sameContent(push ? item : existing, push ? existing : item)) {
+      result.skipped.push(item.path);
+      return;
+    }
+    
+    record(existing ? 'updated' : 'created', item.path, function() {
+      if (push) {
+        self.uploadFile(item.localPath, existing ? existing.remotePath : remoteRoot + '/' + item.path, 'overwrite');
+      } else {
+        var saveTo = existing ? existing.localPath : path.join(localDir, item.path);
+        fs.mkdirSync(path.dirname(saveTo), { recursive: true });
+        self.downloadFile(item.remotePath, saveTo);
+      }
+    });
+  });
+  
+  if (options.deleteExtraneous) {
+    var extraneous = Object.keys(target).sort().filter(function(key) {
+      return !source[key] && filter(target[key].path) && target[key].downloadable !== false;
+    }).map(function(key) { return target[key]; });
+    
+    if (push && extraneous.length && !options.dryRun) {
+      var batch = this.deleteBatch(extraneous.map(function(file) { return file.remotePath; }));
+      batch.entries.forEach(function(entry, i) {
+        var relPath = extraneous[i].path;
+        record('deleted', relPath, function() {
+          if (!entry.ok) {
+            var err = new Error(entry.error);
+            err.code = entry.code;
+            throw err;
+          }
+        });
+      });
+    } else {
+      extraneous.forEach(function(file) {
+        record('deleted', file.path, function() {
+          fs.unlinkSync(file.localPath);
+        });
+      });
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * List Paper docs
+ */
+DropboxClient.prototype.listPaperDocs = function(folderPath) {
+  return this.search('.paper', {
+    path: folderPath || undefined,
+    maxResults: 100,
+    fileExtensions: ['paper']
+  });
+};
+
+/**
+ * Get Paper doc content as markdown (or html).
+ * Uses /files/export on the content domain directly.
+ *
+ * NOTE: Do NOT use downloadRequest() here because it calls
+ * /files/get_temporary_link first, which returns unsupported_file
+ * for .paper files. The /files/export content endpoint is the
+ * only way to retrieve Paper document content.
+ */
+DropboxClient.prototype.getPaperDocContent = function(docPath, exportFormat, saveTo) {
+  if (!saveTo) {
+    return this.exportPaperDoc(docPath, exportFormat).content;
+  }
+  
+  saveTo = outputPath(saveTo, renditionName(docPath, exportFormat === 'html' ? 'html' : 'md'));
+  var url = this.contentUrl + '/files/export';
+  var apiArg = {
+    path: docPath,
+    export_format: exportFormat || 'markdown'
+  };
+  
+  var options = {
+    method: 'POST',
+    headers: {
+      'Dropbox-API-Arg': JSON.stringify(apiArg),
+      'Content-Type': 'application/octet-stream'
+    },
+    timeout: this.timeout,
+    saveTo: saveTo
+  };
+  
+  var response = this.authenticatedRequest(url, options);
+  
+  if (response.savedTo) {
+    return response.savedTo;
+  }
+  
+  return response.text();
+};
+
+/**
+ * Export a Paper doc along with its current paper_revision.
+ * The revision comes from the export_metadata in the Dropbox-API-Result
+ * response header and is what /files/paper/update expects.
+ *
+ * @returns {object} { content, revision, metadata }
+ */
+DropboxClient.prototype.exportPaperDoc = function(docPath, exportFormat) {
+  var response = this.authenticatedRequest(this.contentUrl + '/files/export', {
+    method: 'POST',
+    headers: {
+      'Dropbox-API-Arg': JSON.stringify({ path: docPath, export_format: exportFormat || 'markdown' }),
+      'Content-Type': 'application/octet-stream'
+    },
+    timeout: this.timeout
+  });
+  var text = response.text();
+  if (!response.ok) {
+    throw responseError(response, text, 'Export failed');
+  }
+  
+  var apiResult = {};
+  try { apiResult = JSON.parse(response.headers.get('dropbox-api-result') || '{}'); } catch (e) { /* no header */ }
+  return {
+    content: text,
+    revision: safeGet(apiResult, 'export_metadata.paper_revision', null),
+    metadata: apiResult.file_metadata || null
+  };
+};
+
+/**
+ * Get the current paper_revision of a Paper doc
+ */
+DropboxClient.prototype.getPaperRevision = function(docPath) {
+  var revision = this.exportPaperDoc(docPath, 'markdown').revision;
+  if (revision === null) {
+    throw new Error('Could not determine the current revision of ' + docPath);
+  }
+  return revision;
+};
+
+/**
+ * Send content to a /files/paper/* endpoint.
+ * These live on api.dropboxapi.com (not the content host) but take their
+ * arguments in the Dropbox-API-Arg header like content endpoints.
+ */
+DropboxClient.prototype.paperRequest = function(endpoint, apiArg, body) {
+  var response = this.authenticatedRequest(this.apiUrl + endpoint, {
+    method: 'POST',
+    headers: {
+      'Dropbox-API-Arg': JSON.stringify(apiArg),
+      'Content-Type': 'application/octet-stream'
+    },
+    body: body,
     timeout: this.timeout
   });
-  
-  var text = response.text();
-  var data;
+  var text = response.text();
+  if (!response.ok) {
+    throw responseError(response, text, 'Upload failed');
+  }
+  var data;
+  try { data = JSON.parse(text); } catch (e) { data = { error: text }; }
+  return data;
+};
+
+/**
+ * Search Paper docs by content
+ */
+DropboxClient.prototype.searchPaperDocs = function(query, options) {
+  options = options || {};
+  options.fileExtensions = ['paper'];
+  return this.search(query, options);
+};
+
+/**
+ * Create a new Paper document
+ * Note: Creating Paper docs in shared folders may fail with invalid_file_extension
+ * In that case, we create at root and move to the target location
+ * 
+ * When import_format is 'markdown', we auto-convert to HTML to work around
+ * the Dropbox Paper API's limited markdown parser (which collapses blank lines
+ * and merges numbered list content).
+ */
+DropboxClient.prototype.createPaperDoc = function(docPath, content, importFormat) {
+  // Auto-convert markdown to HTML for better formatting preservation
+  var actualContent = content;
+  var actualFormat = importFormat || 'markdown';
+  if (actualFormat === 'markdown') {
+    actualContent = markdownToDropboxHtml(content);
+    actualFormat = 'html';
+  }
+  
+  var self = this;
+  function paperUpload(apiArg, body) {
+    return self.paperRequest('/files/paper/create', apiArg, body);
+  }
+  
+  try {
+    return paperUpload({
+      path: docPath,
+      import_format: actualFormat
+    }, actualContent);
+  } catch (err) {
+    // If failed with invalid_file_extension, try create at root then move
+    if (err.data && err.data.error && err.data.error['.tag'] === 'invalid_file_extension') {
+      // Extract filename from path
+      var parts = docPath.split('/');
+      var filename = parts[parts.length - 1];
+      var tempPath = '/' + filename;
+      
+      // Create at root
+      var result = paperUpload({
+        path: tempPath,
+        import_format: actualFormat
+      }, actualContent);
+      
+      // Move to target location
+      var actualPath = result.result_path || tempPath;
+      if (actualPath !== docPath) {
+        var moveResult = this.movePath(actualPath, docPath);
+        result.result_path = moveResult.metadata.path_display;
+      }
+      
+      return result;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Update an existing Paper document
+ *
+ * Policies (doc_update_policy):
+ *   overwrite - replace the whole document
+ *   append    - add content to the end of the document
+ *   prepend   - add content to the start of the document
+ *   update    - replace the document only if it is still at paper_revision
+ *
+ * Every policy except overwrite sends the doc's paper_revision. Unless the
+ * caller pins one with options.paperRevision, the current revision is read
+ * first and the update is retried once if the doc changed in between.
+ * 
+ * When import_format is 'markdown', we auto-convert to HTML to work around
+ * the Dropbox Paper API's limited markdown parser.
+ */
+DropboxClient.prototype.updatePaperDoc = function(docPath, content, importFormat, updatePolicy, options) {
+  options = options || {};
+  // Auto-convert markdown to HTML for better formatting preservation
+  var actualContent = content;
+  var actualFormat = importFormat || 'markdown';
+  if (actualFormat === 'markdown') {
+    actualContent = markdownToDropboxHtml(content);
+    actualFormat = 'html';
+  }
+  
+  var apiArg = {
+    path: docPath,
+    import_format: actualFormat,
+    doc_update_policy: updatePolicy || 'overwrite'
+  };
+  
+  if (apiArg.doc_update_policy === 'overwrite') {
+    return this.paperRequest('/files/paper/update', apiArg, actualContent);
+  }
+  
+  var pinned = options.paperRevision !== undefined && options.paperRevision !== null;
+  apiArg.paper_revision = pinned ? options.paperRevision : this.getPaperRevision(docPath);
+  try {
+    return this.paperRequest('/files/paper/update', apiArg, actualContent);
+  } catch (err) {
+    if (pinned || describeFailure(safeGet(err, 'data.error', null)) !== 'revision_mismatch') {
+      throw err;
+    }
+    // Someone edited the doc between reading the revision and updating
+    apiArg.paper_revision = this.getPaperRevision(docPath);
+    return this.paperRequest('/files/paper/update', apiArg, actualContent);
+  }
+};
+
+/**
+ * Edit one section of a Paper doc in place.
+ *
+ * The doc is exported as markdown, the section under the matching heading
+ * is replaced, appended to or prepended to, and the result is written back
+ * with the 'update' policy pinned to the exported revision. If someone edits
+ * the doc in between, the whole read-edit-write cycle runs once more against
+ * the new content so their changes are kept.
+ *
+ * @param {string} docPath - Paper doc path
+ * @param {string} sectionPath - Heading text or "Parent > Child" path
+ * @param {string} content - Markdown for the section body
+ * @param {string} [mode] - 'replace' (default), 'append' or 'prepend'
+ * @param {object} [options] - { dryRun: true } returns the edited markdown
+ */
+DropboxClient.prototype.editPaperSection = function(docPath, sectionPath, content, mode, options) {
+  options = options || {};
+  for (var attempt = 0; ; attempt++) {
+    var doc = this.exportPaperDoc(docPath, 'markdown');
+    var edited = editMarkdownSection(paperToMarkdown(doc.content, { docPath: docPath }), sectionPath, content, mode || 'replace');
+    if (options.dryRun) {
+      return { markdown: edited, paper_revision: doc.revision };
+    }
+    try {
+      return this.updatePaperDoc(docPath, edited, 'markdown', 'update', { paperRevision: doc.revision });
+    } catch (err) {
+      if (attempt > 0 || describeFailure(safeGet(err, 'data.error', null)) !== 'revision_mismatch') {
+        throw err;
+      }
+    }
+  }
+};
+
+// Access levels that can be granted to folder and file members
+var MEMBER_ROLES = ['editor', 'viewer', 'viewer_no_comment'];
+
+function memberSelector(email) {
+  return { '.tag': 'email', email: email };
+}
+
+// Throw a classified error for a failed sharing job or member action
+function sharingFailure(message, failure) {
+  var summary = describeFailure(failure);
+  var err = new Error(message + ': ' + summary);
+  err.code = errorTypeFromSummary(summary);
+  err.data = failure;
+  return err;
+}
+
+/**
+ * Work out how to manage members of a path: folders are managed through
+ * their shared folder ID, files directly by path.
+ *
+ * @param {string} targetPath - File or folder
+ * @param {boolean} [share] - Share the folder first if it is not shared yet
+ * @returns {object} { path, isFolder, sharedFolderId }
+ */
+DropboxClient.prototype.sharingTarget = function(targetPath, share) {
+  var metadata = this.getMetadata(targetPath);
+  var target = {
+    path: metadata.path_display || targetPath,
+    isFolder: metadata['.tag'] === 'folder',
+    sharedFolderId: metadata.shared_folder_id || null
+  };
+  if (target.isFolder && !target.sharedFolderId && share) {
+    target.sharedFolderId = this.shareFolder(targetPath).shared_folder_id;
+  }
+  return target;
+};
+
+/**
+ * Turn a folder into a shared folder, waiting for the share job if
+ * Dropbox runs it asynchronously.
+ * @returns {object} SharedFolderMetadata
+ */
+DropboxClient.prototype.shareFolder = function(folderPath) {
+  var launch = this.request('/sharing/share_folder', { path: folderPath, force_async: false });
+  var job = this.waitForJob('/sharing/check_share_job_status', launch);
+  if (job['.tag'] === 'failed') {
+    throw sharingFailure('Sharing ' + folderPath + ' failed', job.failed);
+  }
+  return job;
+};
+
+/**
+ * List the users, groups and pending invitees of a shared folder or file,
+ * following the cursor.
+ * @returns {object} { path, shared, users, groups, invitees }
+ */
+DropboxClient.prototype.listMembers = function(target) {
+  var result = { path: target.path, shared: !target.isFolder || !!target.sharedFolderId,
+    users: [], groups: [], invitees: [] };
+  if (!result.shared) {
+    return result;
+  }
+  
+  var base = target.isFolder ? '/sharing/list_folder_members' : '/sharing/list_file_members';
+  var page = this.request(base, target.isFolder
+    ? { shared_folder_id: target.sharedFolderId, limit: 200 }
+    : { file: target.path, include_inherited: true, limit: 300 });
+  while (true) {
+    result.users = result.users.concat(page.users || []);
+    result.groups = result.groups.concat(page.groups || []);
+    result.invitees = result.invitees.concat(page.invitees || []);
+    if (!page.cursor) {
+      return result;
+    }
+    page = this.request(base + '/continue', { cursor: page.cursor });
+  }
+};
+
+/**
+ * Give someone access to a shared folder or file by email.
+ * @param {object} target - From sharingTarget(path, true)
+ * @param {string} email - Member to add (invited if they have no account)
+ * @param {string} role - 'editor', 'viewer' or 'viewer_no_comment'
+ * @param {object} [options] - { message, quiet }
+ */
+DropboxClient.prototype.addMember = function(target, email, role, options) {
+  options = options || {};
+  if (target.isFolder) {
+    return this.request('/sharing/add_folder_member', {
+      shared_folder_id: target.sharedFolderId,
+      members: [{ member: memberSelector(email), access_level: { '.tag': role } }],
+      quiet: !!options.quiet,
+      custom_message: options.message || null
+    });
+  }
+  var results = this.request('/sharing/add_file_member', {
+    file: target.path,
+    members: [memberSelector(email)],
+    access_level: { '.tag': role },
+    quiet: !!options.quiet,
+    custom_message: options.message || null
+  });
+  var outcome = (results[0] || {}).result || {};
+  if (outcome['.tag'] !== 'success') {
+    throw sharingFailure('Adding ' + email + ' failed', outcome);
+  }
+  return outcome;
+};
+
+/**
+ * Remove someone's access to a shared folder or file.
+ */
+DropboxClient.prototype.removeMember = function(target, email) {
+  if (target.isFolder) {
+    var launch = this.request('/sharing/remove_folder_member', {
+      shared_folder_id: target.sharedFolderId,
+      member: memberSelector(email),
+      leave_a_copy: false
+    });
+    var job = this.waitForJob('/sharing/check_remove_member_job_status', launch);
+    if (job['.tag'] === 'failed') {
+      throw sharingFailure('Removing ' + email + ' failed', job.failed);
+    }
+    return job;
+  }
+  var outcome = this.request('/sharing/remove_file_member_2', {
+    file: target.path,
+    member: memberSelector(email)
+  });
+  if (outcome['.tag'] === 'member_error') {
+    throw sharingFailure('Removing ' + email + ' failed', outcome);
+  }
+  return outcome;
+};
+
+/**
+ * Change a member's access level on a shared folder or file.
+ */
+DropboxClient.prototype.updateMember = function(target, email, role) {
+  if (target.isFolder) {
+    return this.request('/sharing/update_folder_member', {
+      shared_folder_id: target.sharedFolderId,
+      member: memberSelector(email),
+      access_level: { '.tag': role }
+    });
+  }
+  return this.request('/sharing/update_file_member', {
+    file: target.path,
+    member: memberSelector(email),
+    access_level: { '.tag': role }
+  });
+};
+
+/**
+ * Turn an --expires value into a Dropbox timestamp. Accepts a duration
+ * from now ("30min", "12h", "7d", "1mo") or anything Date can parse, as
+ * long as it is in the future.
+ */
+function parseExpiry(value) {
+  var date = parseTimeOption(value, 1);
+  if (!date) {
+    throw typedError('invalid_argument', 'Invalid expiry "' + value + '" (use e.g. 7d, 12h, 1mo or 2026-12-31)');
+  }
+  if (date.getTime() <= Date.now()) {
+    throw typedError('invalid_argument', 'Expiry "' + value + '" is not in the future');
+  }
+  // Dropbox rejects fractional seconds
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Build Dropbox SharedLinkSettings from friendly options.
+ * @param {object} options - { visibility: 'team' | 'public' | 'password',
+ *   expires, password, allowDownload }
+ */
+function sharedLinkSettings(options) {
+  var settings = {};
+  var visibility = options.visibility || (options.password ? 'password' : null);
+  if (visibility) {
+    var visibilities = { team: 'team_only', team_only: 'team_only', 'public': 'public', password: 'password' };
+    if (!visibilities[visibility]) {
+      throw typedError('invalid_argument', 'Unknown visibility "' + visibility + '" (use team, public or password)');
+    }
+    settings.requested_visibility = visibilities[visibility];
+  }
+  if (settings.requested_visibility === 'password') {
+    if (!options.password) {
+      throw typedError('invalid_argument', '--visibility password requires --password');
+    }
+    settings.link_password = options.password;
+  }
+  if (options.expires) {
+    settings.expires = parseExpiry(options.expires);
+  }
+  if (options.allowDownload !== undefined) {
+    settings.allow_download = options.allowDownload;
+  }
+  return settings;
+}
+
+/**
+ * Get the shared link for a file, creating a team-only one if it has none.
+ * An existing link is returned as it is, so a public link others already
+ * use keeps working. Accounts without a team get a link with their
+ * default settings instead.
+ */
+DropboxClient.prototype.getSharedLink = function(filePath) {
+  try {
+    return this.createSharedLink(filePath, { requested_visibility: 'team_only' }, true);
+  } catch (error) {
+    if (describeFailure(safeGet(error, 'data.error', null)).indexOf('settings_error') !== 0) {
+      throw error;
+    }
+    return this.createSharedLink(filePath, {}, true);
+  }
+};
+
+/**
+ * Create a shared link with explicit settings. Dropbox allows one link per
+ * file and audience, so if it already exists its settings are updated
+ * (or, with keepExisting, it is returned unchanged).
+ *
+ * @param {string} filePath - File or folder to share
+ * @param {object} settings - SharedLinkSettings (see sharedLinkSettings)
+ * @param {boolean} [keepExisting] - Leave an existing link's settings alone
+ */
+DropboxClient.prototype.createSharedLink = function(filePath, settings, keepExisting) {
+  try {
+    return this.request('/sharing/create_shared_link_with_settings', {
+      path: filePath,
+      settings: settings
+    });
+  } catch (error) {
+    if (describeFailure(safeGet(error, 'data.error', null)).indexOf('shared_link_already_exists') !== 0) {
+      throw error;
+    }
+    var existing = safeGet(error, 'data.error.shared_link_already_exists.metadata', null) ||
+      this.request('/sharing/list_shared_links', { path: filePath, direct_only: true }).links[0];
+    if (!existing) {
+      // Dropbox reported a link it does not list, e.g. one we cannot see
+      throw error;
+    }
+    return keepExisting || !Object.keys(settings).length ? existing : this.modifySharedLink(existing.url, settings);
+  }
+};
+
+/**
+ * List shared links for a path, or every link on the account when no path
+ * is given, following the cursor.
+ *
+ * @param {string} [filePath] - Only links to this file or folder
+ * @param {function} onPage - Called with (links, page) for each page
+ * @returns {object} { count, has_more, cursor }
+ */
+DropboxClient.prototype.listSharedLinks = function(filePath, onPage) {
+  var self = this;
+  var first = this.request('/sharing/list_shared_links', filePath ? { path: filePath, direct_only: true } : {});
+  return followCursor(first, function(cursor) {
+    return self.request('/sharing/list_shared_links', filePath ? { path: filePath, cursor: cursor } : { cursor: cursor });
+  }, 'links', null, onPage);
+};
+
+/**
+ * Change the settings of an existing shared link.
+ * @param {string} url - The shared link
+ * @param {object} settings - SharedLinkSettings (see sharedLinkSettings)
+ * @param {boolean} [removeExpiration] - Make the link permanent again
+ */
+DropboxClient.prototype.modifySharedLink = function(url, settings, removeExpiration) {
+  return this.request('/sharing/modify_shared_link_settings', {
+    url: url,
+    settings: settings,
+    remove_expiration: !!removeExpiration
+  });
+};
+
+/**
+ * Revoke a shared link so it stops working.
+ */
+DropboxClient.prototype.revokeSharedLink = function(url) {
+  return this.request('/sharing/revoke_shared_link', { url: url });
+};
+
+// Document Text Extraction
+// read turns Word, Excel, CSV, PDF and text files into markdown. Office
+// files are zip archives of XML parts, unpacked with zlib and parsed with
+// parseHtml(); formats without a reader of their own are rendered by
+// /files/get_preview first.
+
+// How read converts each extension; other files are read as plain text
+// when they look like text
+var DOCUMENT_READERS = {
+  docx: 'docx', docm: 'docx', dotx: 'docx',
+  xlsx: 'xlsx', xlsm: 'xlsx',
+  csv: 'csv', tsv: 'csv',
+  pdf: 'pdf',
+  html: 'html', htm: 'html',
+  doc: 'preview', rtf: 'preview', odt: 'preview', ppt: 'preview', pptx: 'preview', pptm: 'preview',
+  pps: 'preview', ppsx: 'preview', ppsm: 'preview', odp: 'preview', xls: 'preview', ods: 'preview',
+  ai: 'preview', eps: 'preview'
+};
+
+// Extensions read refuses before downloading anything: media, archives,
+// images and executables never hold readable text
+var BINARY_EXTENSIONS = [
+  'mp4', 'mov', 'm4v', 'avi', 'mkv', 'webm', 'wmv', 'mp3', 'm4a', 'wav', 'aac', 'flac', 'ogg',
+  'jpg', 'jpeg', 'png', 'gif', 'bmp', 'tif', 'tiff', 'heic', 'webp', 'psd', 'sketch', 'fig', 'indd',
+  'zip', '7z', 'rar', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'dmg', 'iso', 'exe', 'msi', 'dll', 'bin', 'apk'
+];
+
+// Largest file read downloads to convert; bigger ones are left to download
+var READ_SIZE_LIMIT = 50 * 1024 * 1024;
+
+// Formats read asks /files/export for, best first: those it can render
+// with headings and tables come before plain text
+var EXPORT_PREFERENCE = ['markdown', 'md', 'docx', 'xlsx', 'csv', 'html', 'txt', 'pdf'];
+
+/**
+ * Index a zip archive by its central directory.
+ * @returns {object} { buffer, entries: { name: { method, compressedSize, header } } }
+ */
+function openZip(buffer) {
+  var end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1) {
+    throw typedError('invalid_path', 'Not a zip archive: the file is damaged or in an older binary format');
+  }
+  var entries = {};
+  var count = buffer.readUInt16LE(end + 10);
+  var pos = buffer.readUInt32LE(end + 16);
+  for (var i = 0; i < count && buffer.readUInt32LE(pos) === 0x02014b50; i++) {
+    var nameLength = buffer.readUInt16LE(pos + 28);
+    entries[buffer.toString('utf8', pos + 46, pos + 46 + nameLength)] = {
+      method: buffer.readUInt16LE(pos + 10),
+      compressedSize: buffer.readUInt32LE(pos + 20),
+      header: buffer.readUInt32LE(pos + 42)
+    };
+    pos += 46 + nameLength + buffer.readUInt16LE(pos + 30) + buffer.readUInt16LE(pos + 32);
+  }
+  return { buffer: buffer, entries: entries };
+}
+
+// One zip entry as text, or null when the archive does not have it
+function zipText(zip, name) {
+  var entry = zip.entries[name];
+  if (!entry) {
+    return null;
+  }
+  var b = zip.buffer;
+  var start = entry.header + 30 + b.readUInt16LE(entry.header + 26) + b.readUInt16LE(entry.header + 28);
+  var data = b.slice(start, start + entry.compressedSize);
+  return (entry.method === 8 ? require('zlib').inflateRawSync(data) : data).toString('utf8');
+}
+
+// Descendants of a parseHtml() node with a tag, not looking inside matches
+function xmlFind(node, tag, found) {
+  found = found || [];
+  (node.children || []).forEach(function(child) {
+    if (child.tag === tag) {
+      found.push(child);
+    } else if (child.children) {
+      xmlFind(child, tag, found);
+    }
+  });
+  return found;
+}
+
+function xmlChild(node, tag) {
+  return node && node.children.filter(function(child) { return child.tag === tag; })[0];
+}
+
+// Attribute of a child element, e.g. the w:val of <w:pStyle w:val="Heading1"/>
+function xmlChildAttr(node, tag, attr) {
+  var child = xmlChild(node, tag);
+  return child ? child.attrs[attr] : undefined;
+}
+
+// Concatenated text of every descendant with the tag
+function xmlText(node, tag) {
+  return xmlFind(node, tag).map(htmlText).join('');
+}
+
+// Pipe table cell: one line, pipes escaped
+function tableCell(text) {
+  return String(text).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').replace(/^\s+|\s+$/g, '');
+}
+
+/**
+ * Number formats of Word lists: numId -> ilvl -> numFmt ('bullet',
+ * 'decimal', ...), from word/numbering.xml.
+ */
+function docxListFormats(xml) {
+  var formats = {};
+  if (!xml) {
+    return formats;
+  }
+  var numbering = parseHtml(xml);
+  var abstracts = {};
+  xmlFind(numbering, 'w:abstractnum').forEach(function(abstract) {
+    var levels = {};
+    xmlFind(abstract, 'w:lvl').forEach(function(lvl) {
+      levels[lvl.attrs['w:ilvl']] = xmlChildAttr(lvl, 'w:numfmt', 'w:val');
+    });
+    abstracts[abstract.attrs['w:abstractnumid']] = levels;
+  });
+  xmlFind(numbering, 'w:num').forEach(function(num) {
+    formats[num.attrs['w:numid']] = abstracts[xmlChildAttr(num, 'w:abstractnumid', 'w:val')] || {};
+  });
+  return formats;
+}
+
+/**
+ * Markdown of the runs in a paragraph (or a hyperlink, insertion or field
+ * inside one). Bold runs are wrapped in ** unless plain is set; text in
+ * tracked deletions is left out.
+ */
+function docxInline(node, plain) {
+  var out = '';
+  node.children.forEach(function(child) {
+    if (child.tag === 'w:r') {
+      var text = '';
+      child.children.forEach(function(part) {
+        if (part.tag === 'w:t') text += escapeMarkdownText(htmlText(part));
+        else if (part.tag === 'w:tab') text += ' ';
+        else if (part.tag === 'w:br' || part.tag === 'w:cr') text += '\n';
+        else if (part.tag === 'w:nobreakhyphen') text += '-';
+      });
+      var bold = xmlChild(xmlChild(child, 'w:rpr'), 'w:b');
+      if (!plain && bold && !/^(0|false)$/.test(bold.attrs['w:val'] || '')) {
+        var m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        text = m[2] ? m[1] + '**' + m[2] + '**' + m[3] : text;
+      }
+      out += text;
+    } else if (child.children && !/^w:(del|ppr|rpr|instrtext)$/.test(child.tag)) {
+      out += docxInline(child, plain);
+    }
+  });
+  // Neighbouring bold runs read as one
+  return out.replace(/\*\*(\s*)\*\*/g, '$1');
+}
+
+/**
+ * Convert word/document.xml to markdown. Title and Heading 1-6 styles (or
+ * an outline level) become headings, numbered and bulleted paragraphs list
+ * items and tables pipe tables; the first row is the header.
+ */
+function docxToMarkdown(zip) {
+  var xml = zipText(zip, 'word/document.xml');
+  if (xml === null) {
+    throw typedError('invalid_path', 'Not a Word document: word/document.xml is missing');
+  }
+  var listFormats = docxListFormats(zipText(zip, 'word/numbering.xml'));
+  var blocks = [];
+  var items = [];
+
+  function flushList() {
+    if (items.length) {
+      blocks.push(formatMarkdownList(items));
+      items = [];
+    }
+  }
+
+  function paragraph(p) {
+    var props = xmlChild(p, 'w:ppr');
+    var style = xmlChildAttr(props, 'w:pstyle', 'w:val') || '';
+    var outline = xmlChildAttr(props, 'w:outlinelvl', 'w:val');
+    var level = /^title$/i.test(style) ? 1
+      : /^heading\s*[1-6]$/i.test(style) ? parseInt(style.slice(-1), 10)
+      : outline !== undefined ? parseInt(outline, 10) + 1 : 0;
+    var text = docxInline(p, level > 0 && level <= 6).replace(/[ \t]*\n[ \t]*/g, '\n').replace(/^\s+|\s+$/g, '');
+    if (!text) {
+      return;
+    }
+    if (level > 0 && level <= 6) {
+      flushList();
+      blocks.push(new Array(level + 1).join('#') + ' ' + text.replace(/\n/g, ' '));
+      return;
+    }
+    var numbering = xmlChild(props, 'w:numpr');
+    var numId = xmlChildAttr(numbering, 'w:numid', 'w:val');
+    if (numId && numId !== '0') {
+      var ilvl = parseInt(xmlChildAttr(numbering, 'w:ilvl', 'w:val'), 10) || 0;
+      var format = (listFormats[numId] || {})[ilvl] || 'bullet';
+      items.push({ level: ilvl + 1, ordered: format !== 'bullet' && format !== 'none', start: 1, text: text.replace(/\n/g, ' ') });
+      return;
+    }
+    flushList();
+    blocks.push(text);
+  }
+
+  function table(tbl) {
+    var rows = xmlFind(tbl, 'w:tr').map(function(tr) {
+      var cells = [];
+      xmlFind(tr, 'w:tc').forEach(function(tc) {
+        cells.push(tableCell(xmlFind(tc, 'w:p').map(function(p) { return docxInline(p, false); }).join(' ')));
+        // A cell spanning several grid columns keeps the columns lined up
+        var span = parseInt(xmlChildAttr(xmlChild(tc, 'w:tcpr'), 'w:gridspan', 'w:val'), 10) || 1;
+        for (var s = 1; s < span; s++) cells.push('');
+      });
+      return cells;
+    });
+    if (rows.length) {
+      flushList();
+      blocks.push(formatPipeTable(rows));
+    }
+  }
+
+  (function walk(node) {
+    node.children.forEach(function(child) {
+      if (child.tag === 'w:p') paragraph(child);
+      else if (child.tag === 'w:tbl') table(child);
+      else if (child.children && child.tag !== 'w:sectpr') walk(child); // content controls, custom XML
+    });
+  })(xmlFind(parseHtml(xml), 'w:body')[0] || { children: [] });
+  flushList();
+  return blocks.join('\n\n') + '\n';
+}
+
+// Zero-based column of a cell reference such as "AB12"
+function columnIndex(ref) {
+  var letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+  var index = 0;
+  for (var i = 0; i < letters.length; i++) {
+    index = index * 26 + letters.charCodeAt(i) - 64;
+  }
+  return index - 1;
+}
+
+// An Excel date serial as YYYY-MM-DD, with HH:MM when it has a time of day
+function excelDate(serial, date1904) {
+  var iso = new Date(Math.round(((date1904 ? serial + 1462 : serial) - 25569) * 86400000)).toISOString();
+  if (serial < 1) {
+    return iso.slice(11, 16);
+  }
+  return serial % 1 ? iso.slice(0, 16).replace('T', ' ') : iso.slice(0, 10);
+}
+
+/**
+ * Which cell styles (by index) show numbers as dates or times: the
+ * built-in date formats and custom formats with d, m, y, h or s outside
+ * quotes and [brackets].
+ */
+function xlsxDateStyles(xml) {
+  if (!xml) {
+    return [];
+  }
+  var styles = parseHtml(xml);
+  var custom = {};
+  xmlFind(styles, 'numfmt').forEach(function(fmt) {
+    custom[fmt.attrs.numfmtid] = fmt.attrs.formatcode || '';
+  });
+  var cellXfs = xmlFind(styles, 'cellxfs')[0];
+  return cellXfs ? xmlFind(cellXfs, 'xf').map(function(xf) {
+    var id = parseInt(xf.attrs.numfmtid, 10) || 0;
+    if (custom[id] !== undefined) {
+      return /[dmyhs]/i.test(custom[id].replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''));
+    }
+    return (id >= 14 && id <= 22) || (id >= 45 && id <= 47);
+  }) : [];
+}
+
+/**
+ * Convert a workbook to markdown: a "## <sheet>" section per worksheet
+ * with its used cells as a pipe table. Shared strings, booleans and
+ * date-formatted numbers are shown as text, formulas as their last value.
+ */
+function xlsxToMarkdown(zip) {
+  var workbookXml = zipText(zip, 'xl/workbook.xml');
+  if (workbookXml === null) {
+    throw typedError('invalid_path', 'Not an Excel workbook: xl/workbook.xml is missing');
+  }
+  var workbook = parseHtml(workbookXml);
+  var date1904 = xmlFind(workbook, 'workbookpr').some(function(pr) { return /^(1|true)$/.test(pr.attrs.date1904 || ''); });
+  var targets = {};
+  xmlFind(parseHtml(zipText(zip, 'xl/_rels/workbook.xml.rels') || ''), 'relationship').forEach(function(rel) {
+    var target = rel.attrs.target || '';
+    targets[rel.attrs.id] = target.charAt(0) === '/' ? target.slice(1) : 'xl/' + target;
+  });
+  var strings = xmlFind(parseHtml(zipText(zip, 'xl/sharedStrings.xml') || ''), 'si').map(function(si) {
+    return xmlText(si, 't');
+  });
+  var dateStyles = xlsxDateStyles(zipText(zip, 'xl/styles.xml'));
+
+  function cellText(c) {
+    var v = xmlChild(c, 'v');
+    var value = v ? htmlText(v) : '';
+    switch (c.attrs.t) {
+      case 's': return strings[parseInt(value, 10)] || '';
+      case 'inlineStr': return xmlText(c, 't');
+      case 'b': return value === '1' ? 'TRUE' : 'FALSE';
+      case 'str': case 'e': case 'd': return value;
+    }
+    if (value === '' || isNaN(Number(value))) {
+      return value;
+    }
+    return dateStyles[parseInt(c.attrs.s, 10) || 0] ? excelDate(Number(value), date1904)
+      : String(parseFloat(Number(value).toPrecision(15)));
+  }
+
+  return xmlFind(workbook, 'sheet').map(function(sheet) {
+    var xml = zipText(zip, targets[sheet.attrs['r:id']] || '');
+    var rows = [];
+    if (xml !== null) {
+      xmlFind(parseHtml(xml), 'row').forEach(function(row) {
+        var cells = [];
+        var next = 0;
+        xmlFind(row, 'c').forEach(function(c) {
+          var col = c.attrs.r ? columnIndex(c.attrs.r) : next;
+          cells[col] = tableCell(cellText(c));
+          next = col + 1;
+        });
+        if (cells.some(Boolean)) rows.push(cells);
+      });
+    }
+    // Only the columns that have a value somewhere
+    var used = [];
+    rows.forEach(function(cells) {
+      cells.forEach(function(cell, col) { if (cell) used[col] = true; });
+    });
+    var columns = used.map(function(u, col) { return u ? col : -1; }).filter(function(col) { return col !== -1; });
+    rows = rows.map(function(cells) {
+      return columns.map(function(col) { return cells[col] || ''; });
+    });
+    return '## ' + sheet.attrs.name + '\n\n' + (rows.length ? formatPipeTable(rows) : '_(empty)_');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * Parse CSV text into rows of fields, honouring quoted fields with
+ * delimiters, doubled quotes and line breaks inside.
+ */
+function parseCsv(text, delimiter) {
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var ch = text.charAt(i);
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (text.charAt(i + 1) === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// CSV or TSV as a pipe table. A first line with more semicolons than
+// commas is taken as semicolon-separated, as some locales export it.
+function csvToMarkdown(text, extension) {
+  var firstLine = text.split('\n')[0];
+  var delimiter = extension === 'tsv' ? '\t'
+    : (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+  var rows = parseCsv(text, delimiter).filter(function(row) {
+    return row.some(function(field) { return /\S/.test(field); });
+  }).map(function(row) { return row.map(tableCell); });
+  return rows.length ? formatPipeTable(rows) + '\n' : '';
+}
+
+// Windows-1252 codes PDF fonts commonly use for quotes and dashes
+var PDF_WIN_ANSI = { '\u0091': '\u2018', '\u0092': '\u2019', '\u0093': '\u201c', '\u0094': '\u201d',
+  '\u0095': '\u2022', '\u0096': '\u2013', '\u0097': '\u2014', '\u0085': '\u2026' };
+
+// Decode a PDF (literal) or <hex> string operand
+function pdfString(token) {
+  var bytes;
+  if (token.charAt(0) === '<') {
+    var hex = token.slice(1, -1).replace(/\s+/g, '');
+    bytes = Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+  } else {
+    bytes = Buffer.from(token.slice(1, -1).replace(/\\(\r\n|[\r\n])|\\([0-7]{1,3})|\\([\s\S])/g, function(m, eol, octal, ch) {
+      if (eol) return '';
+      if (octal) return String.fromCharCode(parseInt(octal, 8) & 255);
+      return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[ch] || ch;
+    }), 'latin1');
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    var utf16 = bytes.slice(2, bytes.length - bytes.length % 2);
+    return Buffer.from(utf16).swap16().toString('utf16le');
+  }
+  // Two-byte codes with a zero high byte are common in embedded fonts
+  return bytes.toString('latin1').replace(/[\u0000-\u0008\u000b-\u001f]/g, '').replace(/[\u0085\u0091-\u0097]/g, function(ch) {
+    return PDF_WIN_ANSI[ch];
+  });
+}
+
+/**
+ * Text shown by one content stream. Strings from Tj, TJ, ' and " are
+ * joined, with a line break when the text position moves to another
+ * line and a space when it jumps along the same one.
+ */
+function pdfContentText(content) {
+  var tokenRe = /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[0-9a-fA-F\s]*>|\[|\]|\/[^\s\/\[\]()<>{}%]+|[+-]?(?:\d+\.?\d*|\.\d+)|[A-Za-z'"*]+|%[^\r\n]*/g;
+  var out = '';
+  var operands = [];
+  var y = 0;
+  var lineY = null;
+  var moved = false;
+  var m;
+
+  function show(text) {
+    if (lineY !== null && Math.abs(y - lineY) > 1) {
+      out += '\n';
+    } else if (moved && out && !/\s$/.test(out)) {
+      out += ' ';
+    }
+    out += text;
+    lineY = y;
+    moved = false;
+  }
+
+  while ((m = tokenRe.exec(content)) !== null) {
+    var token = m[0];
+    var first = token.charAt(0);
+    if (first === '(' || first === '<') {
+      operands.push({ string: pdfString(token) });
+    } else if (token === '[') {
+      operands.push(token);
+    } else if (token === ']') {
+      var items = [];
+      while (operands.length && operands[operands.length - 1] !== '[') items.unshift(operands.pop());
+      operands.pop();
+      operands.push({ array: items });
+    } else if (/^[+\-.\d]/.test(token)) {
+      operands.push(parseFloat(token));
+    } else if (first === '/') {
+      operands.push(token);
+    } else if (first !== '%') {
+      var last = operands[operands.length - 1];
+      switch (token) {
+        case 'BT': y = 0; break;
+        case 'Td': case 'TD':
+          y += operands[1] || 0;
+          moved = moved || (operands[0] || 0) > 0;
+          break;
+        case 'Tm': y = operands[5] || 0; moved = true; break;
+        case 'T*': y -= 1000; break;
+        case 'Tj': if (last && last.string !== undefined) show(last.string); break;
+        case "'": case '"': y -= 1000; if (last && last.string !== undefined) show(last.string); break;
+        case 'TJ':
+          if (last && last.array) {
+            show(last.array.map(function(item) {
+              // A gap wider than a fifth of the font size is a space
+              return item.string !== undefined ? item.string : item < -200 ? ' ' : '';
+            }).join(''));
+          }
+          break;
+      }
+      operands = [];
+    }
+  }
+  return out;
+}
+
+/**
+ * Naive PDF text extraction for when pdftotext is not installed: the text
+ * of every content stream (inflated when FlateDecode), in file order.
+ * Fonts with custom encodings come out garbled or empty and scanned pages
+ * have no text at all.
+ */
+function extractPdfText(buffer) {
+  var raw = buffer.toString('latin1');
+  var streamRe = /\bstream\r?\n/g;
+  var texts = [];
+  var m;
+  while ((m = streamRe.exec(raw)) !== null) {
+    var start = m.index + m[0].length;
+    var end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streamRe.lastIndex = end;
+    var dict = raw.slice(Math.max(raw.lastIndexOf(' obj', m.index), 0), m.index);
+    if (/\/Subtype\s*\/Image|\/Type\s*\/(ObjStm|XRef|Metadata)|\/Length[123]\b/.test(dict)) continue;
+    var data = buffer.slice(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try { data = require('zlib').inflateSync(data); } catch (e) { continue; }
+    } else if (/\/Filter/.test(dict)) {
+      continue;
+    }
+    var content = data.toString('latin1');
+    if (/\bBT\b/.test(content)) {
+      var text = pdfContentText(content);
+      if (/\S/.test(text)) texts.push(text);
+    }
+  }
+  return texts.join('\n\n');
+}
+
+/**
+ * Text of a PDF file, from pdftotext when it is installed (better layout
+ * and font handling) or extractPdfText() otherwise.
+ * @returns {object} { text, strategy }
+ */
+function pdfToText(file) {
   try {
-    data = JSON.parse(text);
+    var text = require('child_process').execFileSync('pdftotext', ['-enc', 'UTF-8', file, '-'], {
+      encoding: 'utf8', timeout: 120000, maxBuffer: 100 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe']
+    });
+    return { text: text.replace(/\f/g, '\n\n'), strategy: 'pdftotext' };
   } catch (e) {
-    data = { error: text };
+    // Not installed, or it could not read this file
+    return { text: extractPdfText(fs.readFileSync(file)), strategy: 'pdf' };
   }
-  
-  if (!response.ok) {
-    var err = new Error(data.error_summary || safeGet(data, 'error.message', null) || text || 'Upload failed');
-    err.status = response.status;
-    err.data = data;
-    throw err;
+}
+
+// A file's text if it looks like text (no NUL bytes), otherwise null
+function decodeTextFile(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.slice(2).toString('utf16le');
   }
-  
-  return data;
+  if (buffer.slice(0, 8000).indexOf(0) !== -1) {
+    return null;
+  }
+  return buffer.toString('utf8').replace(/^\ufeff/, '');
+}
+
+// Trailing spaces and runs of blank lines removed
+function tidyText(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/[ \t\u00a0]+$/gm, '').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\n+$/g, '') + '\n';
+}
+
+/**
+ * Convert a local copy of a document by its extension.
+ * @returns {object} { content, strategy }, or null for a binary file with no reader
+ */
+function convertDocument(file, extension) {
+  switch (DOCUMENT_READERS[extension]) {
+    case 'docx': return { content: docxToMarkdown(openZip(fs.readFileSync(file))), strategy: 'docx' };
+    case 'xlsx': return { content: xlsxToMarkdown(openZip(fs.readFileSync(file))), strategy: 'xlsx' };
+    case 'csv': return { content: csvToMarkdown(decodeTextFile(fs.readFileSync(file)) || '', extension), strategy: 'csv' };
+    case 'html': return { content: htmlToMarkdown(decodeTextFile(fs.readFileSync(file)) || ''), strategy: 'html' };
+    case 'pdf':
+      var pdf = pdfToText(file);
+      return { content: tidyText(pdf.text), strategy: pdf.strategy };
+  }
+  var text = decodeTextFile(fs.readFileSync(file));
+  return text === null ? null : { content: text, strategy: 'text' };
+}
+
+// The format read exports a file in: the first of EXPORT_PREFERENCE offered
+function exportFormat(exportInfo) {
+  var offered = (exportInfo.export_options || []).concat(exportInfo.export_as ? [exportInfo.export_as] : [])
+    .map(function(format) { return String(format).replace(/^\./, '').toLowerCase(); });
+  return EXPORT_PREFERENCE.filter(function(format) { return offered.indexOf(format) !== -1; })[0] || offered[0];
+}
+
+/**
+ * Read a document as markdown or plain text, choosing how from its
+ * metadata: files with export_info (Paper docs, and Google Docs, Sheets
+ * and Slides kept in Dropbox) are exported in the most readable format
+ * offered; Word, Excel, CSV, PDF and text files are downloaded and
+ * converted here; other Office formats are read from their get_preview
+ * rendering.
+ *
+ * @param {string} filePath - Dropbox file path or ID
+ * @returns {object} { path, strategy, content } where strategy says how
+ *   the text was obtained, e.g. "docx", "export:xlsx" or "preview:pdf"
+ */
+DropboxClient.prototype.readDocument = function(filePath) {
+  var metadata = this.getMetadata(filePath);
+  if (metadata['.tag'] !== 'file') {
+    throw typedError('invalid_path', filePath + ' is a folder; use ls to list it');
+  }
+  var extension = path.posix.extname(metadata.name).slice(1).toLowerCase();
+  var downloading = !metadata.export_info && DOCUMENT_READERS[extension] !== 'preview';
+  if (downloading && BINARY_EXTENSIONS.indexOf(extension) !== -1) {
+    throw typedError('invalid_path', 'Cannot read text from ' + metadata.name + '; use download, preview or thumbnail instead');
+  }
+  if (downloading && metadata.size > READ_SIZE_LIMIT) {
+    throw typedError('invalid_path', metadata.name + ' is ' + formatSize(metadata.size) + '; read handles files up to ' +
+      formatSize(READ_SIZE_LIMIT) + ', use download instead');
+  }
+  var via = '';
+  // HR documents pass through here, so the copy sits in a directory only
+  // this user can open (mkdtemp creates it with mode 0700)
+  var dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'dropbox-read-'));
+  var tmp = path.join(dir, 'document');
+  var converted;
+  try {
+    if (metadata.export_info) {
+      extension = exportFormat(metadata.export_info);
+      via = 'export:';
+      this.contentToFile('/files/export', { path: filePath, export_format: extension }, tmp, 'Export failed');
+    } else if (DOCUMENT_READERS[extension] === 'preview') {
+      extension = this.getPreview(filePath, tmp).format;
+      via = 'preview:';
+    } else {
+      this.downloadFile(filePath, tmp);
+    }
+    converted = convertDocument(tmp, extension);
+  } finally {
+    // Also removes what a failed download left for resuming
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  if (!converted) {
+    throw typedError('invalid_path', 'Cannot read text from ' + metadata.name + '; use download, preview or thumbnail instead');
+  }
+  if (via && (extension === 'markdown' || extension === 'md')) {
+    converted.content = paperToMarkdown(converted.content, { docPath: filePath });
+  }
+  return { path: metadata.path_display || filePath, strategy: via + converted.strategy, content: converted.content };
 };
 
+// Batch Runner
+// Content for paper-create/update/edit: inline "content", a local "input"
+// file, or a "template" rendered with "vars"
+function batchContent(client, op) {
+  if (op.template) {
+    return renderTemplate(readTemplate(client, op.template), op.vars || {});
+  }
+  if (op.input) {
+    return fs.readFileSync(op.input, 'utf-8');
+  }
+  if (typeof op.content !== 'string') {
+    throw typedError('invalid_argument', '"content", "input" or "template" is required');
+  }
+  return op.content;
+}
+
 /**
- * Get current account info
+ * Operations a batch manifest can run, keyed by command name. Each names
+ * the fields it requires and runs with (client, op), returning the same
+ * JSON the command prints.
  */
-DropboxClient.prototype.getCurrentAccount = function() {
-  return this.request('/users/get_current_account', null);
+var BATCH_OPERATIONS = {
+  account: { required: [], run: function(client) {
+    return client.getCurrentAccount();
+  } },
+  ls: { required: [], run: function(client, op) {
+    if (op.cached || op.refresh) {
+      return new MetadataCache(client).listFolder(op.path || '', { recursive: !!op.recursive, refresh: !!op.refresh });
+    }
+    return client.listFolder(op.path || '', { recursive: !!op.recursive, limit: op.limit || 100 });
+  } },
+  search: { required: ['query'], run: function(client, op) {
+    return client.search(op.query, {
+      maxResults: op.max || 20,
+      path: op.path,
+      fileExtensions: op.ext ? [].concat(op.ext) : undefined,
+      fileCategories: op.category ? [].concat(op.category) : undefined,
+      filenameOnly: !!op['filename-only'],
+      sort: op.sort
+    });
+  } },
+  info: { required: ['path'], run: function(client, op) {
+    return op.cached ? new MetadataCache(client).getMetadata(op.path) : client.getMetadata(op.path);
+  } },
+  read: { required: ['path'], run: function(client, op) {
+    if (op.path.toLowerCase().slice(-6) !== '.paper') {
+      return client.readDocument(op.path);
+    }
+    var content = client.getPaperDocContent(op.path, op.format || 'markdown');
+    return { path: op.path, content: op.clean ? paperToMarkdown(content, { docPath: op.path }) : content };
+  } },
+  'paper-create': { required: ['path'], run: function(client, op) {
+    return client.createPaperDoc(op.path, batchContent(client, op), op.format || 'markdown');
+  } },
+  'paper-update': { required: ['path'], run: function(client, op) {
+    var policy = op.policy === 'update' ? 'append' : op.policy || 'overwrite';
+    return client.updatePaperDoc(op.path, batchContent(client, op), op.format || 'markdown', policy);
+  } },
+  'paper-edit': { required: ['path', 'section'], run: function(client, op) {
+    return client.editPaperSection(op.path, op.section, batchContent(client, op), op.mode || 'replace', {});
+  } },
+  link: { required: ['path'], run: function(client, op) {
+    var link = op.visibility || op.expires || op.password
+      ? client.createSharedLink(op.path, sharedLinkSettings({ visibility: op.visibility, expires: op.expires, password: op.password }))
+      : client.getSharedLink(op.path);
+    return { path: op.path, url: link.url };
+  } },
+  upload: { required: ['local', 'path'], run: function(client, op) {
+    return client.uploadFile(op.local, op.path, op.mode || 'overwrite', {});
+  } },
+  download: { required: ['path', 'output'], run: function(client, op) {
+    if (op.path.toLowerCase().slice(-6) === '.paper') {
+      return { path: op.path, saved_to: client.getPaperDocContent(op.path, 'markdown', op.output) };
+    }
+    return { path: op.path, saved_to: client.downloadFile(op.path, op.output, { verify: op.verify !== false }) };
+  } },
+  thumbnail: { required: ['path', 'output'], run: function(client, op) {
+    return client.getThumbnail(op.path, op.output, { size: op.size, format: op.format, mode: op.mode });
+  } },
+  preview: { required: ['path', 'output'], run: function(client, op) {
+    return client.getPreview(op.path, op.output, { rev: op.rev });
+  } },
+  mkdir: { required: ['path'], run: function(client, op) {
+    return client.createFolder(op.path, !!op.autorename);
+  } },
+  mv: { required: ['from', 'to'], run: function(client, op) {
+    return client.movePath(op.from, op.to, !!op.autorename);
+  } },
+  cp: { required: ['from', 'to'], run: function(client, op) {
+    return client.copyPath(op.from, op.to, !!op.autorename);
+  } },
+  rm: { required: ['path'], run: function(client, op) {
+    return client.deletePath(op.path);
+  } },
+  revisions: { required: ['path'], run: function(client, op) {
+    return client.listRevisions(op.path, op.limit || 10);
+  } },
+  restore: { required: ['path', 'rev'], run: function(client, op) {
+    return client.restoreFile(op.path, op.rev);
+  } }
 };
 
 /**
- * List folder contents
+ * Run batch operations in order in this process. By default the first
+ * failure stops the run and the remaining operations are reported as
+ * skipped; with continueOnError every operation is attempted.
+ *
+ * @param {Array} operations - [{ op, id?, ...fields }]
+ * @param {object} [options] - { continueOnError, onResult(result) }
+ * @returns {object} { results: [{ index, op, id, ok, skipped, result | error, code, status }],
+ *   succeeded, failed, skipped }
  */
-DropboxClient.prototype.listFolder = function(folderPath, options) {
+DropboxClient.prototype.runBatch = function(operations, options) {
   options = options || {};
-  return this.request('/files/list_folder', {
-    path: folderPath || '',
-    recursive: options.recursive || false,
-    include_media_info: options.includeMediaInfo || false,
-    include_deleted: options.includeDeleted || false,
-    include_has_explicit_shared_members: false,
-    include_mounted_folders: true,
-    limit: options.limit || 100
+  var self = this;
+  var summary = { results: [], succeeded: 0, failed: 0, skipped: 0 };
+  var stopped = false;
+
+  operations.forEach(function(op, index) {
+    var item = { index: index, op: op && op.op };
+    if (op && op.id !== undefined) item.id = op.id;
+
+    if (stopped) {
+      item.ok = false;
+      item.skipped = true;
+      summary.skipped++;
+    } else {
+      try {
+        var operation = op && typeof op.op === 'string' && BATCH_OPERATIONS.hasOwnProperty(op.op) ? BATCH_OPERATIONS[op.op] : null;
+        if (!operation) {
+          throw typedError('invalid_argument', 'Unknown operation "' + (op && op.op) + '" (use one of: ' + Object.keys(BATCH_OPERATIONS).join(', ') + ')');
+        }
+        var missing = operation.required.filter(function(field) { return op[field] === undefined || op[field] === null; });
+        if (missing.length) {
+          throw typedError('invalid_argument', '"' + missing.join('", "') + '" required for ' + op.op);
+        }
+        var output = operation.run(self, op);
+        item.ok = true;
+        item.result = output;
+        summary.succeeded++;
+      } catch (err) {
+        item.ok = false;
+        item.error = err.message;
+        item.code = classifyError(err);
+        if (err.status) item.status = err.status;
+        summary.failed++;
+        stopped = !options.continueOnError;
+      }
+    }
+    summary.results.push(item);
+    if (options.onResult) options.onResult(item);
+  });
+  return summary;
+};
+
+// Metadata Cache
+/**
+ * On-disk cache of folder listings, kept up to date incrementally with
+ * the list_folder cursor saved alongside each snapshot.
+ *
+ * Snapshots live in <dir>/<account>/ as one JSON file per folder and
+ * recursion mode: { root, recursive, cursor, updated, entries } where
+ * entries maps path_lower to metadata. A snapshot younger than maxAge is
+ * used as is; an older one is brought up to date with
+ * /files/list_folder/continue, which costs a single request when nothing
+ * changed.
+ *
+ * @param {DropboxClient} client
+ * @param {object} [options] - { dir, maxAge (ms) }
+ */
+function MetadataCache(client, options) {
+  options = options || {};
+  this.client = client;
+  this.dir = options.dir || cacheDir();
+  var envMaxAge = parseInt(process.env.DROPBOX_CACHE_MAX_AGE, 10);
+  this.maxAge = options.maxAge !== undefined ? options.maxAge : (isNaN(envMaxAge) ? 60 : envMaxAge) * 1000;
+  this.accountTtl = 60 * 60 * 1000;
+}
+
+// Directory for the metadata cache, Paper index and direct-mode tokens:
+// per user, since other local users must not read the listings or plant
+// files of their own in it
+function cacheDir() {
+  if (process.env.DROPBOX_CACHE_DIR) {
+    return process.env.DROPBOX_CACHE_DIR;
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(require('os').homedir(), '.cache'), 'dropbox-skill');
+}
+
+// Cache files and token files are readable by their owner only
+var PRIVATE_FILE_MODE = parseInt('600', 8);
+var PRIVATE_DIR_MODE = parseInt('700', 8);
+
+/**
+ * Create a directory only this user can open, or check an existing one.
+ * A directory owned by someone else (or a symlink) is refused, since its
+ * owner could read or replace the files in it; one this user owns is
+ * closed to others if it is not already.
+ *
+ * @returns {string} dir
+ */
+function privateDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: PRIVATE_DIR_MODE });
+  var stat = fs.lstatSync(dir);
+  if (!stat.isDirectory() || (process.getuid && stat.uid !== process.getuid())) {
+    throw typedError('local_io', 'Refusing to use ' + dir + ': it is not a directory owned by this user ' +
+      '(set DROPBOX_CACHE_DIR to one that is)');
+  }
+  if (stat.mode & parseInt('077', 8)) {
+    fs.chmodSync(dir, PRIVATE_DIR_MODE);
+  }
+  return dir;
+}
+
+/**
+ * Read a JSON file kept in a privateDir(), or null when there is none. A
+ * file someone else owns is ignored rather than trusted.
+ */
+function readPrivateJson(file) {
+  privateDir(path.dirname(file));
+  try {
+    var stat = fs.lstatSync(file);
+    if (!stat.isFile() || (process.getuid && stat.uid !== process.getuid())) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Write JSON into a privateDir() atomically, so a concurrent reader never
+// sees half a file, readable by this user only
+function writePrivateJson(file, data) {
+  privateDir(path.dirname(file));
+  var tmp = file + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(data), { mode: PRIVATE_FILE_MODE });
+  fs.renameSync(tmp, file);
+}
+
+// Lower-cased Dropbox path with '' for the root, as used for cache keys
+function cacheRoot(folderPath) {
+  var root = String(folderPath || '').replace(/\/+$/, '').toLowerCase();
+  return root === '/' ? '' : root;
+}
+
+/**
+ * Directory holding this account's snapshots. The account ID is looked up
+ * once an hour, so cached reads do not cost a get_current_account call.
+ * The lookup is kept per credential (proxy or token) and --as-member
+ * user, so switching credentials never reads another account's files.
+ * Each --root other than home gets a directory of its own, since the same
+ * path names different files there.
+ */
+MetadataCache.prototype.accountDir = function() {
+  if (this._accountDir) {
+    return this._accountDir;
+  }
+  var transport = this.client.transport;
+  var accountFile = path.join(this.dir, 'account-' +
+    credentialKey((transport.identity || transport.name || '') + '|' + (this.client.asMember || '')) + '.json');
+  var account = readPrivateJson(accountFile);
+  if (!account || Date.now() - account.checked > this.accountTtl) {
+    account = { account_id: this.client.getCurrentAccount().account_id, checked: Date.now() };
+    this.write(accountFile, account);
+  }
+  var root = this.client.root && this.client.root !== 'home' ? '@' + this.client.root : '';
+  this._accountDir = path.join(this.dir, account.account_id.replace(/[^\w.-]/g, '_') + root);
+  return this._accountDir;
+};
+
+MetadataCache.prototype.write = function(file, data) {
+  writePrivateJson(file, data);
+};
+
+MetadataCache.prototype.snapshotFile = function(root, recursive) {
+  var key = require('crypto').createHash('sha1').update(root + '|' + (recursive ? 'r' : '')).digest('hex');
+  return path.join(this.accountDir(), key + '.json');
+};
+
+MetadataCache.prototype.readSnapshot = function(root, recursive) {
+  try {
+    return JSON.parse(fs.readFileSync(this.snapshotFile(root, recursive), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Every snapshot saved for this account
+MetadataCache.prototype.snapshots = function() {
+  var dir = this.accountDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(function(name) { return /^[0-9a-f]{40}\.json$/.test(name); }).map(function(name) {
+    try { return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')); } catch (e) { return null; }
+  }).filter(Boolean);
+};
+
+/**
+ * List a folder from scratch and save it as a snapshot.
+ */
+MetadataCache.prototype.rebuild = function(folderPath, recursive) {
+  var snapshot = { root: cacheRoot(folderPath), recursive: !!recursive, cursor: null, updated: 0, entries: {} };
+  var totals = this.client.listFolderAll(snapshot.root, { recursive: !!recursive, limit: 2000 }, function(entries) {
+    entries.forEach(function(entry) { snapshot.entries[entry.path_lower] = entry; });
+  });
+  snapshot.cursor = totals.cursor;
+  snapshot.updated = Date.now();
+  this.write(this.snapshotFile(snapshot.root, snapshot.recursive), snapshot);
+  return snapshot;
+};
+
+/**
+ * Apply the changes since a snapshot's cursor. A cursor Dropbox no longer
+ * accepts (reset) means listing the folder again.
+ */
+MetadataCache.prototype.update = function(snapshot) {
+  var self = this;
+  var page;
+  try {
+    page = this.client.listFolderContinue(snapshot.cursor);
+  } catch (err) {
+    if (describeFailure(safeGet(err, 'data.error', null)) === 'reset') {
+      return this.rebuild(snapshot.root, snapshot.recursive);
+    }
+    throw err;
+  }
+  var totals = followCursor(page, function(cursor) {
+    return self.client.listFolderContinue(cursor);
+  }, 'entries', null, function(entries) {
+    entries.forEach(function(entry) {
+      if (entry['.tag'] === 'deleted') {
+        Object.keys(snapshot.entries).forEach(function(key) {
+          if (key === entry.path_lower || key.indexOf(entry.path_lower + '/') === 0) {
+            delete snapshot.entries[key];
+          }
+        });
+      } else {
+        snapshot.entries[entry.path_lower] = entry;
+      }
+    });
   });
+  snapshot.cursor = totals.cursor;
+  snapshot.updated = Date.now();
+  this.write(this.snapshotFile(snapshot.root, snapshot.recursive), snapshot);
+  return snapshot;
 };
 
 /**
- * Continue listing folder contents
+ * Get an up-to-date snapshot that covers a folder: its own snapshot, or a
+ * recursive snapshot of an ancestor. Without one, the folder is listed
+ * and saved.
+ *
+ * @param {string} folderPath - Folder to cover
+ * @param {boolean} recursive - Whether the whole subtree is needed
+ * @param {boolean} [refresh] - Re-list the folder instead of updating
  */
-DropboxClient.prototype.listFolderContinue = function(cursor) {
-  return this.request('/files/list_folder/continue', { cursor: cursor });
+MetadataCache.prototype.snapshot = function(folderPath, recursive, refresh) {
+  var root = cacheRoot(folderPath);
+  if (refresh) {
+    return this.rebuild(root, recursive);
+  }
+
+  var covering = this.readSnapshot(root, recursive) || (!recursive && this.readSnapshot(root, true));
+  if (!covering) {
+    covering = this.snapshots().filter(function(s) {
+      return s.recursive && (s.root === '' || root.indexOf(s.root + '/') === 0);
+    }).sort(function(a, b) { return b.root.length - a.root.length; })[0];
+  }
+  if (!covering) {
+    return this.rebuild(root, recursive);
+  }
+  return Date.now() - covering.updated > this.maxAge ? this.update(covering) : covering;
 };
 
 /**
- * Search for files and folders
+ * List a folder from the cache, in the shape of a list_folder response.
  */
-DropboxClient.prototype.search = function(query, options) {
+MetadataCache.prototype.listFolder = function(folderPath, options) {
   options = options || {};
-  var body = {
-    query: query,
-    options: {
-      max_results: options.maxResults || 20,
-      file_status: 'active'
-    }
-  };
-  
-  if (options.path) {
-    body.options.path = options.path;
-  }
-  
-  if (options.fileExtensions) {
-    body.options.file_extensions = options.fileExtensions;
-  }
-  
-  if (options.fileCategories) {
-    body.options.file_categories = options.fileCategories;
+  var root = cacheRoot(folderPath);
+  var snapshot = this.snapshot(root, options.recursive, options.refresh);
+  var prefix = root + '/';
+  var entries = Object.keys(snapshot.entries).filter(function(key) {
+    if (key === root || (root && key.indexOf(prefix) !== 0)) return false;
+    return options.recursive || key.slice(prefix.length).indexOf('/') === -1;
+  }).sort().map(function(key) { return snapshot.entries[key]; });
+
+  if (root && !entries.length && !snapshot.entries[root] && snapshot.root !== root) {
+    // An ancestor snapshot without this folder: it does not exist
+    throw this.notFound(folderPath);
   }
-  
-  return this.request('/files/search_v2', body);
+  return { entries: entries, cursor: snapshot.cursor, has_more: false, cached: true, updated: new Date(snapshot.updated).toISOString() };
 };
 
 /**
- * Get file metadata
+ * Get metadata for a path from the snapshot of its parent folder.
  */
-DropboxClient.prototype.getMetadata = function(filePath) {
-  return this.request('/files/get_metadata', {
-    path: filePath,
-    include_media_info: true
-  });
+MetadataCache.prototype.getMetadata = function(filePath, refresh) {
+  var key = cacheRoot(filePath);
+  var snapshot = this.snapshot(path.posix.dirname(key) === '/' ? '' : path.posix.dirname(key), false, refresh);
+  if (!snapshot.entries[key]) {
+    throw this.notFound(filePath);
+  }
+  return snapshot.entries[key];
+};
+
+// The error the API gives for a missing path
+MetadataCache.prototype.notFound = function(filePath) {
+  var err = new Error('path/not_found/.. (' + filePath + ', from cache)');
+  err.status = 409;
+  err.code = 'not_found';
+  err.data = { error_summary: 'path/not_found/..', error: { '.tag': 'path', path: { '.tag': 'not_found' } } };
+  return err;
 };
 
 /**
- * Upload a local file to Dropbox
+ * List the Paper docs under a folder from its recursive snapshot, in the
+ * shape of a search() response like DropboxClient#listPaperDocs.
  */
-DropboxClient.prototype.uploadFile = function(localPath, dropboxPath, mode) {
-  var content = fs.readFileSync(localPath);
-  return this.uploadRequest('/files/upload', {
-    path: dropboxPath,
-    mode: mode || 'overwrite',
-    autorename: false,
-    mute: false
-  }, content);
+MetadataCache.prototype.listPaperDocs = function(folderPath, refresh) {
+  var root = cacheRoot(folderPath);
+  var snapshot = this.snapshot(root, true, refresh);
+  var matches = Object.keys(snapshot.entries).sort().filter(function(key) {
+    return (!root || key.indexOf(root + '/') === 0) && /\.paper$/.test(key) && snapshot.entries[key]['.tag'] === 'file';
+  }).map(function(key) {
+    return { match_type: { '.tag': 'filename' }, metadata: { '.tag': 'metadata', metadata: snapshot.entries[key] } };
+  });
+  return { matches: matches, has_more: false, cached: true };
 };
 
 /**
- * Download a file
- * @param {string} filePath - Dropbox file path or ID
- * @param {string} [saveTo] - If provided, save directly to this local path via proxy
+ * Search the names of everything in the saved snapshots, without any API
+ * calls. Every word of the query must appear in the name.
+ *
+ * @param {string} query
+ * @param {object} [options] - { path, fileExtensions, maxResults } and the
+ *   date, size and sort options of DropboxClient#search
+ * @returns {object} Same shape as search(): { matches, has_more }
  */
-DropboxClient.prototype.downloadFile = function(filePath, saveTo) {
-  var response = this.downloadRequest('/files/download', { path: filePath }, saveTo);
-  if (saveTo && response.savedTo) {
-    return response.savedTo;
+MetadataCache.prototype.search = function(query, options) {
+  options = options || {};
+  var words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  var within = options.path ? cacheRoot(options.path) + '/' : '/';
+  var extensions = (options.fileExtensions || []).map(function(ext) { return '.' + ext.replace(/^\./, '').toLowerCase(); });
+  var seen = {};
+  var found = [];
+
+  this.snapshots().forEach(function(snapshot) {
+    Object.keys(snapshot.entries).forEach(function(key) {
+      var entry = snapshot.entries[key];
+      var name = (entry.name || '').toLowerCase();
+      if (seen[key] || key.indexOf(within) !== 0) return;
+      if (extensions.length && !extensions.some(function(ext) { return name.slice(-ext.length) === ext; })) return;
+      if (!words.every(function(word) { return name.indexOf(word) !== -1; })) return;
+      seen[key] = true;
+      found.push(entry);
+    });
+  });
+
+  found.sort(function(a, b) { return a.path_lower < b.path_lower ? -1 : 1; });
+  var matches = filterSearchMatches({
+    matches: found.map(function(entry) {
+      return { match_type: { '.tag': 'filename' }, metadata: { '.tag': 'metadata', metadata: entry } };
+    })
+  }, options).matches;
+  if (options.sort === 'modified') {
+    matches.sort(function(a, b) {
+      return a.metadata.metadata.server_modified < b.metadata.metadata.server_modified ? 1 : -1;
+    });
   }
-  return response.text();
+  var max = options.maxResults || matches.length;
+  return { matches: matches.slice(0, max), has_more: matches.length > max, cached: true };
 };
 
 /**
- * List Paper docs
+ * Describe the saved snapshots: { dir, snapshots: [{ root, recursive, entries, updated }] }
  */
-DropboxClient.prototype.listPaperDocs = function(folderPath) {
-  return this.search('.paper', {
-    path: folderPath || undefined,
-    maxResults: 100,
-    fileExtensions: ['paper']
-  });
+MetadataCache.prototype.status = function() {
+  return {
+    dir: this.accountDir(),
+    snapshots: this.snapshots().map(function(snapshot) {
+      return {
+        root: snapshot.root || '/',
+        recursive: snapshot.recursive,
+        entries: Object.keys(snapshot.entries).length,
+        updated: new Date(snapshot.updated).toISOString()
+      };
+    })
+  };
 };
 
 /**
- * Get Paper doc content as markdown (or html).
- * Uses /files/export on the content domain directly.
- *
- * NOTE: Do NOT use downloadRequest() here because it calls
- * /files/get_temporary_link first, which returns unsupported_file
- * for .paper files. The /files/export content endpoint is the
- * only way to retrieve Paper document content.
+ * Delete every snapshot for this account. The Paper index kept in the same
+ * directory is left alone (see `index clear`).
+ * @returns {number} Snapshots removed
  */
-DropboxClient.prototype.getPaperDocContent = function(docPath, exportFormat, saveTo) {
-  var url = this.contentUrl + '/files/export';
-  var apiArg = {
-    path: docPath,
-    export_format: exportFormat || 'markdown'
-  };
-  
-  var options = {
-    method: 'POST',
-    headers: {
-      'Dropbox-API-Arg': JSON.stringify(apiArg),
-      'Content-Type': 'application/octet-stream'
-    },
-    timeout: this.timeout
-  };
-  
-  if (saveTo) {
-    options.saveTo = saveTo;
-  }
-  
-  var response = this.authenticatedRequest(url, options);
-  
-  if (saveTo && response.savedTo) {
-    return response.savedTo;
+MetadataCache.prototype.clear = function() {
+  var dir = this.accountDir();
+  if (!fs.existsSync(dir)) {
+    return 0;
   }
-  
-  return response.text();
+  var names = fs.readdirSync(dir).filter(function(name) { return /^[0-9a-f]{40}\.json$/.test(name); });
+  names.forEach(function(name) { fs.unlinkSync(path.join(dir, name)); });
+  return names.length;
 };
 
+// Paper Full-Text Index
 /**
- * Search Paper docs by content
+ * Local full-text index of Paper docs, saved next to the metadata cache
+ * snapshots as paper-index.json:
+ *   { roots: { root: built }, docs: { path_lower: { path, rev, lines, headings, ... } },
+ *     postings: { term: { path_lower: [line, ...] } } }
+ *
+ * Each term maps to the lines it appears on, so a search can return the
+ * matching lines and the headings they sit under rather than just the doc.
+ * Docs are listed through the metadata cache and exported again only when
+ * their rev changes.
+ *
+ * @param {DropboxClient} client
+ * @param {MetadataCache} [cache] - Cache used to list docs and locate the index
  */
-DropboxClient.prototype.searchPaperDocs = function(query, options) {
-  options = options || {};
-  options.fileExtensions = ['paper'];
-  return this.search(query, options);
-};
+function PaperIndex(client, cache) {
+  this.client = client;
+  this.cache = cache || new MetadataCache(client);
+  this.data = null;
+}
+
+// Words too common to be worth indexing or searching for
+var INDEX_STOP_WORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'];
+
+// A plural "s" is dropped so "periods" finds "period"
+function stemTerm(word) {
+  return word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word;
+}
 
 /**
- * Create a new Paper document
- * Note: Creating Paper docs in shared folders may fail with invalid_file_extension
- * In that case, we create at root and move to the target location
- * 
- * When import_format is 'markdown', we auto-convert to HTML to work around
- * the Dropbox Paper API's limited markdown parser (which collapses blank lines
- * and merges numbered list content).
+ * Split text into lower-case index terms (letters and digits, including
+ * non-Latin scripts), without stop words.
  */
-DropboxClient.prototype.createPaperDoc = function(docPath, content, importFormat) {
-  // Auto-convert markdown to HTML for better formatting preservation
-  var actualContent = content;
-  var actualFormat = importFormat || 'markdown';
-  if (actualFormat === 'markdown') {
-    actualContent = markdownToDropboxHtml(content);
-    actualFormat = 'html';
-  }
-  
-  var self = this;
-  function paperUpload(apiArg, body) {
-    // /files/paper/create lives on api.dropboxapi.com (not content host)
-    var url = self.apiUrl + '/files/paper/create';
-    var response = self.authenticatedRequest(url, {
-      method: 'POST',
-      headers: {
-        'Dropbox-API-Arg': JSON.stringify(apiArg),
-        'Content-Type': 'application/octet-stream'
-      },
-      body: body,
-      timeout: self.timeout
-    });
-    var text = response.text();
-    var data;
-    try { data = JSON.parse(text); } catch (e) { data = { error: text }; }
-    if (!response.ok) {
-      var err = new Error(data.error_summary || safeGet(data, 'error.message', null) || text || 'Upload failed');
-      err.status = response.status;
-      err.data = data;
-      throw err;
+function indexTerms(text) {
+  return (String(text).toLowerCase().match(/[0-9a-z\u00c0-\u1fff\u2070-\u2fff\u3040-\uffef]+/g) || []).filter(function(word) {
+    return INDEX_STOP_WORDS.indexOf(word) === -1;
+  }).map(stemTerm);
+}
+
+/**
+ * Heading path ("Parent > Child") of a line, in the form paper-edit
+ * --section accepts. A heading line belongs to its own section.
+ */
+function sectionPath(headings, line) {
+  var stack = [];
+  headings.forEach(function(heading) {
+    if (heading.line > line) return;
+    while (stack.length && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
     }
-    return data;
+    stack.push(heading);
+  });
+  return stack.map(function(heading) { return heading.text.replace(/[*_`~]/g, '').trim(); }).join(' > ');
+}
+
+/**
+ * One line of a doc for display: markdown markers removed, query terms in
+ * **bold**, and long lines cut down to the text around the first match.
+ */
+function highlightLine(line, terms) {
+  var text = line.replace(/^\s*(#{1,6}\s+|[-*+]\s+(\[[ xX]\]\s+)?|\d+[.)]\s+|>\s*)/, '')
+    .replace(/\*\*|__|~~|`/g, '').trim();
+  var first = -1;
+  var marked = text.replace(/[0-9a-z\u00c0-\u1fff\u2070-\u2fff\u3040-\uffef]+/gi, function(word, offset) {
+    if (terms.indexOf(stemTerm(word.toLowerCase())) === -1) return word;
+    if (first === -1) first = offset;
+    return '**' + word + '**';
+  }).replace(/\*\* \*\*/g, ' ');
+  if (text.length <= 240) {
+    return marked;
   }
-  
-  try {
-    return paperUpload({
-      path: docPath,
-      import_format: actualFormat
-    }, actualContent);
-  } catch (err) {
-    // If failed with invalid_file_extension, try create at root then move
-    if (err.data && err.data.error && err.data.error['.tag'] === 'invalid_file_extension') {
-      // Extract filename from path
-      var parts = docPath.split('/');
-      var filename = parts[parts.length - 1];
-      var tempPath = '/' + filename;
-      
-      // Create at root
-      var result = paperUpload({
-        path: tempPath,
-        import_format: actualFormat
-      }, actualContent);
-      
-      // Move to target location
-      var actualPath = result.result_path || tempPath;
-      if (actualPath !== docPath) {
-        var moveResult = this.request('/files/move_v2', {
-          from_path: actualPath,
-          to_path: docPath,
-          allow_shared_folder: true,
-          autorename: false
-        });
-        result.result_path = moveResult.metadata.path_display;
-      }
-      
-      return result;
+  // Cut on the unmarked text so a ** pair is never split
+  var start = Math.max(0, first - 80);
+  var excerpt = text.slice(start, start + 240);
+  return (start > 0 ? '…' : '') + highlightLine(excerpt, terms) + (start + 240 < text.length ? '…' : '');
+}
+
+PaperIndex.prototype.file = function() {
+  return path.join(this.cache.accountDir(), 'paper-index.json');
+};
+
+PaperIndex.prototype.load = function() {
+  if (!this.data) {
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.file(), 'utf8'));
+    } catch (e) {
+      this.data = { roots: {}, docs: {}, postings: {} };
     }
-    throw err;
   }
+  return this.data;
+};
+
+PaperIndex.prototype.save = function() {
+  this.cache.write(this.file(), this.load());
+};
+
+// Drop a doc and its postings
+PaperIndex.prototype.removeDoc = function(key) {
+  var data = this.load();
+  if (!data.docs.hasOwnProperty(key)) return;
+  Object.keys(data.postings).forEach(function(term) {
+    var docs = data.postings[term];
+    if (docs.hasOwnProperty(key)) {
+      delete docs[key];
+      if (!Object.keys(docs).length) delete data.postings[term];
+    }
+  });
+  delete data.docs[key];
 };
 
 /**
- * Update an existing Paper document
- * For 'update' policy (append), we need to provide the current paper_revision
- * 
- * When import_format is 'markdown', we auto-convert to HTML to work around
- * the Dropbox Paper API's limited markdown parser.
+ * Index (or re-index) one doc from its markdown.
+ *
+ * @param {object} entry - list_folder metadata of the doc
+ * @param {string} markdown - Cleaned markdown export
  */
-DropboxClient.prototype.updatePaperDoc = function(docPath, content, importFormat, updatePolicy) {
-  // Auto-convert markdown to HTML for better formatting preservation
-  var actualContent = content;
-  var actualFormat = importFormat || 'markdown';
-  if (actualFormat === 'markdown') {
-    actualContent = markdownToDropboxHtml(content);
-    actualFormat = 'html';
-  }
-  
-  var apiArg = {
-    path: docPath,
-    import_format: actualFormat,
-    doc_update_policy: updatePolicy || 'overwrite'
-  };
-  
-  // For 'update' (append) policy, we need the current paper_revision
-  if (updatePolicy === 'update') {
-    // Get current file info to get the paper revision
-    var info = this.getFileInfo(docPath);
-    // Paper docs return paper_revision in the metadata, but it's not always present
-    // The revision can be obtained from a prior paper create/update result
-    // For now, we'll just attempt without it and handle the error
-    // In practice, 'overwrite' is more commonly used
-  }
-  
-  // /files/paper/update lives on api.dropboxapi.com (not content host)
-  var url = this.apiUrl + '/files/paper/update';
-  var response = this.authenticatedRequest(url, {
-    method: 'POST',
-    headers: {
-      'Dropbox-API-Arg': JSON.stringify(apiArg),
-      'Content-Type': 'application/octet-stream'
-    },
-    body: actualContent,
-    timeout: this.timeout
+PaperIndex.prototype.addDoc = function(entry, markdown) {
+  var data = this.load();
+  var key = entry.path_lower;
+  this.removeDoc(key);
+  var lines = markdown.split('\n');
+  lines.forEach(function(line, i) {
+    indexTerms(line).forEach(function(term) {
+      var docs = data.postings.hasOwnProperty(term) ? data.postings[term] : (data.postings[term] = {});
+      var hits = docs.hasOwnProperty(key) ? docs[key] : (docs[key] = []);
+      if (hits[hits.length - 1] !== i) hits.push(i);
+    });
   });
-  var text = response.text();
-  var data;
-  try { data = JSON.parse(text); } catch (e) { data = { error: text }; }
-  if (!response.ok) {
-    var err = new Error(data.error_summary || safeGet(data, 'error.message', null) || text || 'Upload failed');
-    err.status = response.status;
-    err.data = data;
-    throw err;
-  }
-  return data;
+  data.docs[key] = {
+    path: entry.path_display,
+    rev: entry.rev,
+    server_modified: entry.server_modified,
+    indexed: Date.now(),
+    lines: lines,
+    headings: findHeadings(lines)
+  };
 };
 
 /**
- * Get shared link for a file
+ * Bring the index up to date for every Paper doc under a folder: new and
+ * changed docs (by rev) are exported and indexed, docs that are gone are
+ * dropped. Progress is saved every 25 docs so an interrupted build resumes
+ * where it stopped.
+ *
+ * @param {string} folderPath - Folder to index ('' for everything)
+ * @param {object} [options] - { refresh: re-list the folder, onDoc(path, action, err) }
+ * @returns {object} { root, indexed, unchanged, removed, failed: [{ path, error, code }] }
  */
-DropboxClient.prototype.getSharedLink = function(filePath) {
-  try {
-    var existing = this.request('/sharing/list_shared_links', {
-      path: filePath,
-      direct_only: true
-    });
-    
-    if (existing.links && existing.links.length > 0) {
-      return existing.links[0];
+PaperIndex.prototype.build = function(folderPath, options) {
+  options = options || {};
+  var self = this;
+  var data = this.load();
+  var root = cacheRoot(folderPath);
+  var result = { root: root || '/', indexed: 0, unchanged: 0, removed: 0, failed: [] };
+  var listed = {};
+  var report = options.onDoc || function() {};
+
+  this.cache.listPaperDocs(root, options.refresh).matches.forEach(function(match) {
+    var entry = match.metadata.metadata;
+    listed[entry.path_lower] = true;
+    if (data.docs.hasOwnProperty(entry.path_lower) && data.docs[entry.path_lower].rev === entry.rev) {
+      result.unchanged++;
+      return;
     }
-    
-    return this.request('/sharing/create_shared_link_with_settings', {
-      path: filePath,
-      settings: {
-        requested_visibility: 'public'
-      }
-    });
-  } catch (error) {
-    var sharedLink = safeGet(error, 'data.error.shared_link_already_exists.metadata', null);
-    if (sharedLink) {
-      return sharedLink;
+    try {
+      var content = self.client.getPaperDocContent(entry.path_display, 'markdown');
+      self.addDoc(entry, paperToMarkdown(content, { docPath: entry.path_display }));
+      result.indexed++;
+      report(entry.path_display, 'indexed');
+      if (result.indexed % 25 === 0) self.save();
+    } catch (err) {
+      result.failed.push({ path: entry.path_display, error: err.message, code: classifyError(err) });
+      report(entry.path_display, 'failed', err);
+    }
+  });
+
+  Object.keys(data.docs).forEach(function(key) {
+    if ((!root || key.indexOf(root + '/') === 0) && !listed[key]) {
+      report(data.docs[key].path, 'removed');
+      self.removeDoc(key);
+      result.removed++;
     }
-    throw error;
+  });
+  data.roots[result.root] = new Date().toISOString();
+  this.save();
+  return result;
+};
+
+/**
+ * Search the index. Docs are ranked by how many query terms they contain,
+ * then by BM25 score; an exact phrase match or a match in a heading counts
+ * extra. Each doc lists its best matching lines with their section.
+ *
+ * @param {string} query
+ * @param {object} [options] - { path, maxResults (default 20), context: lines per doc (default 3) }
+ * @returns {object} { query, matches: [{ path, rev, score, matched_terms, hits: [{ line, section, text }] }], has_more, docs }
+ */
+PaperIndex.prototype.search = function(query, options) {
+  options = options || {};
+  var data = this.load();
+  var terms = indexTerms(query).filter(function(term, i, all) { return all.indexOf(term) === i; });
+  if (!terms.length) {
+    throw typedError('invalid_argument', 'Query has no searchable words: ' + query);
   }
+  var phrase = terms.join(' ');
+  var within = options.path ? cacheRoot(options.path) + '/' : '/';
+  var keys = Object.keys(data.docs);
+  var avgLines = keys.reduce(function(sum, key) { return sum + data.docs[key].lines.length; }, 0) / (keys.length || 1);
+  var found = {};
+
+  terms.forEach(function(term) {
+    var docs = data.postings.hasOwnProperty(term) ? data.postings[term] : {};
+    var docKeys = Object.keys(docs);
+    var idf = Math.log(1 + (keys.length - docKeys.length + 0.5) / (docKeys.length + 0.5));
+    docKeys.forEach(function(key) {
+      if (key.indexOf(within) !== 0) return;
+      var doc = found[key] || (found[key] = { key: key, score: 0, terms: 0, lines: {} });
+      var tf = docs[key].length;
+      var norm = 0.25 + 0.75 * data.docs[key].lines.length / (avgLines || 1);
+      doc.score += idf * tf * 2.2 / (tf + 1.2 * norm);
+      doc.terms++;
+      docs[key].forEach(function(line) { doc.lines[line] = (doc.lines[line] || 0) + 1; });
+    });
+  });
+
+  var ranked = Object.keys(found).map(function(key) {
+    var doc = found[key];
+    var indexed = data.docs[key];
+    var headingLines = indexed.headings.map(function(heading) { return heading.line; });
+    var lines = Object.keys(doc.lines).map(function(line) {
+      line = parseInt(line, 10);
+      var isPhrase = terms.length > 1 && (' ' + indexTerms(indexed.lines[line]).join(' ') + ' ').indexOf(' ' + phrase + ' ') !== -1;
+      var isHeading = headingLines.indexOf(line) !== -1;
+      return { line: line, rank: doc.lines[line] * 2 + (isPhrase ? 3 : 0) + (isHeading ? 1 : 0), phrase: isPhrase, heading: isHeading };
+    }).sort(function(a, b) { return b.rank - a.rank || a.line - b.line; });
+
+    if (lines.some(function(l) { return l.phrase; })) doc.score *= 1.5;
+    if (lines.some(function(l) { return l.heading; })) doc.score *= 1.2;
+    return {
+      path: indexed.path,
+      rev: indexed.rev,
+      score: Math.round(doc.score * 1000) / 1000,
+      matched_terms: doc.terms,
+      hits: lines.slice(0, options.context || 3).map(function(l) {
+        return { line: l.line + 1, section: sectionPath(indexed.headings, l.line), text: highlightLine(indexed.lines[l.line], terms) };
+      })
+    };
+  }).sort(function(a, b) {
+    return b.matched_terms - a.matched_terms || b.score - a.score || (a.path < b.path ? -1 : 1);
+  });
+
+  var max = options.maxResults || 20;
+  return { query: query, terms: terms, matches: ranked.slice(0, max), has_more: ranked.length > max, docs: keys.length };
+};
+
+/**
+ * Describe the index: { file, docs, terms, bytes, roots }
+ */
+PaperIndex.prototype.status = function() {
+  var data = this.load();
+  var file = this.file();
+  return {
+    file: file,
+    docs: Object.keys(data.docs).length,
+    terms: Object.keys(data.postings).length,
+    bytes: fs.existsSync(file) ? fs.statSync(file).size : 0,
+    roots: data.roots
+  };
+};
+
+/**
+ * Delete the index.
+ * @returns {number} Docs that were indexed
+ */
+PaperIndex.prototype.clear = function() {
+  var docs = Object.keys(this.load().docs).length;
+  fs.rmSync(this.file(), { force: true });
+  this.data = null;
+  return docs;
 };
 
 // Format file size
@@ -813,18 +5424,79 @@ function printFolderSummary(result) {
   }
   
   for (var j = 0; j < folders.length; j++) {
-    console.log('[DIR]  ' + folders[j].name + '/');
+    console.log(formatFolderEntry(folders[j], folders[j].name));
   }
   
   for (var k = 0; k < files.length; k++) {
-    var file = files[k];
-    var size = formatSize(file.size);
-    var modified = file.client_modified ? new Date(file.client_modified).toLocaleDateString() : '';
-    console.log('[FILE] ' + file.name + ' (' + size + ') ' + modified);
+    console.log(formatFolderEntry(files[k], files[k].name));
   }
   
   if (result.has_more) {
-    console.log('\n... more items available (use --limit to increase)');
+    console.log('\n... more items available (use --limit to increase or --all to fetch everything)');
+  }
+}
+
+// Format a single list_folder entry as a summary line
+function formatFolderEntry(entry, label) {
+  if (entry['.tag'] === 'folder') {
+    return '[DIR]  ' + label + '/';
+  }
+  if (entry['.tag'] === 'deleted') {
+    return '[DEL]  ' + label;
+  }
+  var modified = entry.client_modified ? new Date(entry.client_modified).toLocaleDateString() : '';
+  return '[FILE] ' + label + ' (' + formatSize(entry.size) + ') ' + modified;
+}
+
+// Format a single search_v2 match as a summary line, followed by an
+// indented line with its highlighted spans in **bold** when Dropbox
+// matched the content rather than just the name
+function formatSearchMatch(match) {
+  var metadata = safeGet(match, 'metadata.metadata', null) || match.metadata;
+  if (!metadata) return null;
+  
+  var filePath = metadata.path_display || metadata.name;
+  var line = metadata['.tag'] === 'folder'
+    ? '[DIR]  ' + filePath
+    : '[FILE] ' + filePath + ' (' + formatSize(metadata.size) +
+      (metadata.server_modified ? ', ' + new Date(metadata.server_modified).toLocaleDateString() : '') + ')';
+  
+  var spans = match.highlight_spans || [];
+  var highlighted = spans.map(function(span) {
+    return span.is_highlighted ? '**' + span.highlight_str + '**' : span.highlight_str;
+  }).join('').replace(/\s+/g, ' ').trim();
+  if (highlighted && spans.some(function(span) { return span.is_highlighted; }) &&
+      highlighted.replace(/\*\*/g, '') !== metadata.name) {
+    line += '\n       ' + highlighted;
+  }
+  return line;
+}
+
+// Build an onPage callback for --all mode that prints items as their page
+// arrives: one JSON object per line, or one summary line per item
+function streamPrinter(summary, format) {
+  return function(items) {
+    for (var i = 0; i < items.length; i++) {
+      if (summary) {
+        var line = format(items[i]);
+        if (line) console.log(line);
+      } else {
+        console.log(JSON.stringify(items[i]));
+      }
+    }
+  };
+}
+
+// Print the closing line of a streamed (--all) listing. In JSON mode this is
+// a final { count, has_more, cursor } object after the item lines.
+function printStreamFooter(totals, summary, noun) {
+  if (!summary) {
+    console.log(JSON.stringify(totals));
+    return;
+  }
+  console.log('\n' + totals.count + ' ' + noun + ' listed.');
+  if (totals.has_more) {
+    console.log('... stopped at --max-items; more ' + noun + ' available');
   }
 }
 
@@ -840,23 +5512,12 @@ function printSearchSummary(result, query) {
   console.log('Found ' + matches.length + ' result(s) for "' + query + '":\n');
   
   for (var i = 0; i < matches.length; i++) {
-    var match = matches[i];
-    var metadata = safeGet(match, 'metadata.metadata', null) || match.metadata;
-    if (!metadata) continue;
-    
-    var tag = metadata['.tag'];
-    var filePath = metadata.path_display || metadata.name;
-    
-    if (tag === 'folder') {
-      console.log('[DIR]  ' + filePath);
-    } else {
-      var size = formatSize(metadata.size);
-      console.log('[FILE] ' + filePath + ' (' + size + ')');
-    }
+    var line = formatSearchMatch(matches[i]);
+    if (line) console.log(line);
   }
   
   if (result.has_more) {
-    console.log('\n... more results available');
+    console.log('\n... more results available (use --all to fetch everything)');
   }
 }
 
@@ -872,13 +5533,177 @@ function printPaperDocsSummary(result) {
   console.log('Found ' + matches.length + ' Paper document(s):\n');
   
   for (var i = 0; i < matches.length; i++) {
-    var match = matches[i];
-    var metadata = safeGet(match, 'metadata.metadata', null) || match.metadata;
-    if (!metadata) continue;
-    
-    var filePath = metadata.path_display || metadata.name;
-    var modified = metadata.client_modified ? new Date(metadata.client_modified).toLocaleDateString() : '';
-    console.log(filePath + ' (' + modified + ')');
+    var line = formatPaperDocMatch(matches[i]);
+    if (line) console.log(line);
+  }
+}
+
+// Format a Paper doc search match as a summary line
+function formatPaperDocMatch(match) {
+  var metadata = safeGet(match, 'metadata.metadata', null) || match.metadata;
+  if (!metadata) return null;
+  
+  var filePath = metadata.path_display || metadata.name;
+  var modified = metadata.client_modified ? new Date(metadata.client_modified).toLocaleDateString() : '';
+  return filePath + ' (' + modified + ')';
+}
+
+// Print ranked paper-search --local results with their matching lines
+function printIndexSearchSummary(result) {
+  if (!result.matches.length) {
+    console.log('No Paper documents in the local index match "' + result.query + '" (' + result.docs + ' indexed).');
+    return;
+  }
+  
+  console.log('Found ' + result.matches.length + ' Paper document(s) for "' + result.query + '" (' + result.docs + ' indexed):\n');
+  result.matches.forEach(function(match) {
+    var partial = match.matched_terms < result.terms.length
+      ? ', ' + match.matched_terms + '/' + result.terms.length + ' terms' : '';
+    console.log(match.path + ' (score ' + match.score + partial + ')');
+    match.hits.forEach(function(hit) {
+      console.log('  L' + hit.line + (hit.section ? ' [' + hit.section + ']' : '') + ': ' + hit.text);
+    });
+  });
+  
+  if (result.has_more) {
+    console.log('\n... more documents match (use --max to see more)');
+  }
+}
+
+// Print the members of a shared folder or file with their access levels
+function printMembers(result) {
+  if (!result.shared) {
+    console.log(result.path + ' is not shared');
+    return;
+  }
+  console.log('Members of ' + result.path + ':\n');
+  var line = function(access, who, note) {
+    var level = (access && access['.tag']) || 'unknown';
+    console.log('  ' + (level + '          ').slice(0, 10) + ' ' + who + (note ? ' (' + note + ')' : ''));
+  };
+  result.users.forEach(function(member) {
+    var user = member.user || {};
+    line(member.access_type, (user.display_name || user.account_id) + (user.email ? ' <' + user.email + '>' : ''),
+      member.is_inherited ? 'inherited' : '');
+  });
+  result.groups.forEach(function(member) {
+    line(member.access_type, 'Group: ' + safeGet(member, 'group.group_name', 'unknown'), '');
+  });
+  result.invitees.forEach(function(member) {
+    line(member.access_type, safeGet(member, 'invitee.email', 'unknown'), 'invited');
+  });
+}
+
+// One shared link as "path", its URL and its settings on indented lines
+function formatSharedLink(link) {
+  var permissions = link.link_permissions || {};
+  var visibility = (permissions.resolved_visibility || permissions.requested_visibility || {})['.tag'] || 'unknown';
+  var details = [visibility.replace('_', ' ')];
+  details.push(link.expires ? 'expires ' + new Date(link.expires).toLocaleString() : 'no expiry');
+  if (permissions.allow_download === false) {
+    details.push('download disabled');
+  }
+  return (link.path_lower || link.name) + '\n  ' + link.url + '\n  ' + details.join(', ');
+}
+
+// Read document content from --input, --stdin or --content, exiting with
+// usage help when none was given
+function readContentOption(parsed) {
+  var content;
+  if (parsed.options.input || parsed.options.i) {
+    var inputFile = parsed.options.input || parsed.options.i;
+    content = fs.readFileSync(inputFile, 'utf-8');
+  } else if (parsed.options.stdin) {
+    // Read from stdin (sandbox-compatible approach)
+    try {
+      // In sandbox, we can read stdin as a file
+      content = fs.readFileSync('/dev/stdin', 'utf-8').trim();
+    } catch (e) {
+      console.error('Error: Failed to read from stdin');
+      console.error('Make sure to pipe content: echo "content" | dropbox ...');
+      process.exit(ERROR_TYPES.invalid_argument.exitCode);
+    }
+    if (!content) {
+      console.error('Error: No content received from stdin');
+      process.exit(ERROR_TYPES.invalid_argument.exitCode);
+    }
+  } else if (parsed.options.content || parsed.options.c) {
+    content = parsed.options.content || parsed.options.c;
+  } else {
+    console.error('Error: Content is required. Use one of:');
+    console.error('  --content "text"     Inline content (single line only)');
+    console.error('  --input file.md      Read from file (recommended for multi-line)');
+    console.error('  --stdin              Read from stdin (recommended for multi-line)');
+    console.error('');
+    console.error('For multi-line content, use --input or --stdin to avoid parameter parsing issues.');
+    process.exit(ERROR_TYPES.invalid_argument.exitCode);
+  }
+  return content;
+}
+
+// Paper puts blank lines around every paragraph, so an {{#each}} between
+// table rows splits the table. Drop blank lines whose neighbours are all
+// table rows or block tags, with at least one tag.
+function joinTemplateTableRows(md) {
+  var lines = md.split('\n');
+  var isTag = function(line) { return /^\s*\{\{\s*([#\/][^}]*|else\s*)\}\}\s*$/.test(line || ''); };
+  var isRow = function(line) { return /^\s*\|/.test(line || ''); };
+  var nearest = function(i, step) {
+    while (i >= 0 && i < lines.length && !lines[i].trim()) i += step;
+    return lines[i];
+  };
+  return lines.filter(function(line, i) {
+    if (line.trim()) return true;
+    var before = nearest(i, -1);
+    var after = nearest(i, 1);
+    return !((isTag(before) || isRow(before)) && (isTag(after) || isRow(after)) && (isTag(before) || isTag(after)));
+  }).join('\n');
+}
+
+// Template markdown from a local file, or from a Dropbox file or Paper doc
+// when no local file has that name
+function readTemplate(client, source) {
+  if (fs.existsSync(source)) {
+    return fs.readFileSync(source, 'utf-8');
+  }
+  if (source.charAt(0) !== '/') {
+    throw typedError('invalid_argument', 'Template not found: ' + source + ' (use a local file or a Dropbox path starting with /)');
+  }
+  if (source.toLowerCase().slice(-6) === '.paper') {
+    return joinTemplateTableRows(paperToMarkdown(client.getPaperDocContent(source, 'markdown'), { docPath: source }));
+  }
+  return client.downloadFile(source);
+}
+
+// Wrap the result of a single-path file operation in the same shape that
+// summarizeBatch() produces for batch jobs
+function singleResult(request, response) {
+  var item = Object.assign({}, request);
+  item.ok = true;
+  item.metadata = response.metadata;
+  return { entries: [item], succeeded: 1, failed: 0 };
+}
+
+// Print the per-entry outcome of mkdir/mv/cp/rm and exit with the first
+// failure's code if any entry failed
+function printBatchResult(result, summary, verb) {
+  if (summary) {
+    for (var i = 0; i < result.entries.length; i++) {
+      var entry = result.entries[i];
+      var label = entry.from_path ? entry.from_path + ' -> ' + entry.to_path : entry.path || entry.email;
+      if (entry.ok) {
+        console.log(verb + ': ' + label);
+      } else {
+        console.log('Failed: ' + label + ' (' + entry.error + ')');
+      }
+    }
+    console.log('\n' + result.succeeded + ' succeeded, ' + result.failed + ' failed');
+  } else {
+    console.log(JSON.stringify(result));
+  }
+  
+  if (result.failed > 0) {
+    process.exit(failureExitCode(result.entries.filter(function(entry) { return !entry.ok; })));
   }
 }
 
@@ -892,41 +5717,121 @@ function printHelp() {
   console.log('');
   console.log('COMMANDS:');
   console.log('  account                     Get current account info');
+  console.log('  auth login|status|revoke    Authorize the app (PKCE), check or revoke the token');
+  console.log('  namespaces                  List the team space, home, shared and team folders (--team: whole team)');
   console.log('  ls [path]                   List folder contents');
   console.log('  search <query>              Search files and folders');
   console.log('  paper [path]                List Paper documents');
   console.log('  paper-search <query>        Search Paper documents');
-  console.log('  read <path>                 Read Paper document content');
+  console.log('  read <path>                 Read a Paper doc, Word, Excel, CSV, PDF or text file as markdown');
   console.log('  paper-create <path>         Create a new Paper document');
   console.log('  paper-update <path>         Update an existing Paper document');
+  console.log('  paper-edit <path>           Replace, append to or prepend to one section of a Paper document');
   console.log('  info <path>                 Get file/folder metadata');
-  console.log('  link <path>                 Get or create shared link');
+  console.log('  link <path>                 Get or create a shared link (team-only unless --visibility says otherwise)');
+  console.log('  share create|list|update|revoke  Manage shared links and their settings');
+  console.log('  members list|add|remove|update <path> [email...]  Manage who can access a folder or file');
+  console.log('  watch [path]                Stream changes as JSON lines (added, modified, deleted)');
+  console.log('  cache status|clear|refresh  Manage the local metadata cache');
+  console.log('  index build|status|clear    Full-text index of Paper docs for paper-search --local');
+  console.log('  revisions <path>            List earlier revisions of a file');
+  console.log('  restore <path>              Restore a file to --rev <rev> or its --previous revision');
+  console.log('  diff <path>                 Unified diff between --rev <a> and --rev <b> (or the current version)');
   console.log('  download <path>             Download a file');
+  console.log('  thumbnail <path>            Save a thumbnail of an image, video or PDF');
+  console.log('  thumbnail-batch <path...>   Save thumbnails of many files into a folder');
+  console.log('  preview <path>              Save a PDF (documents, slides) or HTML (spreadsheets) preview');
+  console.log('  upload <local> <path>       Upload a local file');
+  console.log('  mkdir <path...>             Create one or more folders');
+  console.log('  mv <from...> <to>           Move files/folders (several sources: <to> is a folder)');
+  console.log('  cp <from...> <to>           Copy files/folders (several sources: <to> is a folder)');
+  console.log('  rm <path...>                Delete files/folders');
+  console.log('  sync push|pull <local> <path>  Mirror a local directory to a Dropbox folder or back');
+  console.log('  batch <manifest>            Run a JSON, YAML or NDJSON list of operations in one process');
   console.log('');
   console.log('OPTIONS:');
   console.log('  --summary                   Human-readable output');
+  console.log('  --retries <number>          Retries for 429, 5xx and network failures (default: 4)');
+  console.log('  --no-retry                  Fail on the first error');
+  console.log('  --root team|home|<id>       Resolve paths in the team space, home or a namespace (Dropbox-API-Path-Root)');
+  console.log('  --as-member <email|id>      Team admin token: act as this member (Dropbox-API-Select-User)');
   console.log('  --json                      Raw JSON output');
   console.log('  -r, --recursive             List recursively');
   console.log('  -n, --limit <number>        Maximum results (default: 100)');
+  console.log('  --all                       Follow cursors and stream every result (ls, search, paper, paper-search);');
+  console.log('                              share update/revoke: act on every link of a path');
+  console.log('  --cached                    ls, info, paper: answer from the local cache (updated via cursor when stale)');
+  console.log('  --refresh                   ls, info, paper, index build: re-list the folder into the cache first');
+  console.log('  --local                     search: names in the local cache; paper-search: the full-text index (no API calls)');
+  console.log('  --max-items <number>        Stop --all after this many items');
   console.log('  -p, --path <path>           Limit search to a specific path');
   console.log('  -e, --ext <extensions>      Filter by file extensions');
-  console.log('  -f, --format <format>       Export format: markdown or html');
+  console.log('  --category <c>              search: image, document, pdf, spreadsheet, presentation, audio, video, folder, paper, others');
+  console.log('  --filename-only             search: match names only, not content');
+  console.log('  --modified-after <when>     search: changed after a date or duration ago (2026-10-01, 7d, 1mo)');
+  console.log('  --modified-before <when>    search: changed before a date or duration ago');
+  console.log('  --min-size <size>           search: at least this size (500KB, 10MB)');
+  console.log('  --max-size <size>           search: at most this size');
+  console.log('  --sort <order>              search: relevance (default), modified (newest first) or size (largest first)');
+  console.log('  -f, --format <format>       Paper export format: markdown or html; thumbnail: jpeg (default) or png');
+  console.log('  --clean                     read: normalise the export to tidy markdown (safe to paper-update back)');
   console.log('  -c, --content <text>        Document content (inline, single-line only)');
   console.log('  -i, --input <file>          Read content from a local file (recommended for multi-line)');
   console.log('  --stdin                     Read content from stdin (recommended for multi-line)');
-  console.log('  --policy <policy>           Update policy: update or overwrite');
-  console.log('  -o, --output <file>         Save downloaded file to disk');
+  console.log('  --template <file|path>      paper-create: render a markdown template (local file or Dropbox doc)');
+  console.log('  --var <key=value>           paper-create: template variable (repeatable; a.b=x sets a nested field)');
+  console.log('  --vars <file>               paper-create: template variables from a JSON or YAML file');
+  console.log('  --policy <policy>           Update policy: overwrite (default), append (alias: update) or prepend');
+  console.log('  -s, --section <heading>     Section to edit: heading text or "Parent > Child" path');
+  console.log('  --dry-run                   paper-create/paper-edit: print the markdown only; sync: show the plan only');
+  console.log('  -o, --output <file|folder>  Save downloaded file to disk (resumable, hash-verified); also thumbnails, previews');
+  console.log('  --no-verify                 Skip the content hash check after a download');
+  console.log('  --rev <rev>                 Revision for restore, preview and diff (diff takes one or two)');
+  console.log('  --size <WxH>                thumbnail: w32h32 up to w2048h1536, or 640x480 (default: w256h256)');
+  console.log('  --cursor-file <file>        watch: save the position here and resume from it next run');
+  console.log('  --once                      watch: report one batch of changes (or those since --cursor-file) and exit');
+  console.log('  --timeout <seconds>         watch: long-poll timeout, 30-480 (default: 300)');
+  console.log('  --role <role>               members: editor, viewer (default) or viewer_no_comment');
+  console.log('  --message <text>            members add: note included in the invitation');
+  console.log('  --quiet                     members add: do not email the new members');
+  console.log('  --visibility <v>            share, link: team (link default), public or password');
+  console.log('  --expires <when>            share, link: expiry as a duration (30min, 12h, 7d, 1mo) or date');
+  console.log('  --no-expiry                 share update: remove the expiry');
+  console.log('  --password <pw>             share, link: link password (implies --visibility password)');
+  console.log('  --allow-download <bool>     share: false stops viewers downloading');
+  console.log('  --previous                  restore: go back to the revision before the current one');
+  console.log('  --autorename                Rename instead of failing on conflicts (mkdir, mv, cp)');
+  console.log('  --mode <mode>               upload: add, overwrite or update; paper-edit: replace, append or prepend;');
+  console.log('                              thumbnail: strict (default), bestfit or fitone_bestfit');
+  console.log('  --chunk-size <MB>           Upload chunk size; larger files use an upload session (default: 8)');
+  console.log('  --no-progress               Do not print upload progress on stderr');
+  console.log('  --delete                    sync: remove files missing from the source side');
+  console.log('  --include <glob>            sync: only files matching the glob (repeatable)');
+  console.log('  --exclude <glob>            sync: skip files matching the glob (repeatable)');
+  console.log('  --app-key <key>             auth login: Dropbox app key (default: DROPBOX_APP_KEY)');
+  console.log('  --no-redirect               auth login: Dropbox shows a code to paste instead of redirecting');
+  console.log('  --code <code>               auth login: finish a --no-redirect login with the pasted code');
+  console.log('  --port <n>                  auth login: loopback port for the redirect (default: 53682)');
+  console.log('  --no-browser                auth login: print the URL without opening a browser');
+  console.log('  --continue-on-error         batch: run every operation even after one fails');
+  console.log('  --stop-on-error             batch: skip the rest after the first failure (default)');
   console.log('');
   console.log('EXAMPLES:');
   console.log('  dropbox account --summary');
   console.log('  dropbox ls --summary');
   console.log('  dropbox ls "/CnR" --summary');
   console.log('  dropbox search "MTR" --summary');
+  console.log('  dropbox ls "/CnR HR" --recursive --all --summary');
   console.log('  dropbox read "/CnR/Notes.paper"');
   console.log('  dropbox paper-create "/Notes/New.paper" --content "Single line only"');
   console.log('  dropbox paper-create "/Notes/New.paper" --input content.md');
   console.log('  echo "# Multi-line\\nContent" | dropbox paper-create "/Notes/New.paper" --stdin');
   console.log('  dropbox link "/file.pdf"');
+  console.log('  dropbox share create "/CnR HR/Offer.pdf" --visibility team --expires 7d --allow-download false');
+  console.log('  dropbox members add "/CnR HR/Onboarding" new.hire@cnr.ai --role viewer --summary');
+  console.log('  dropbox restore "/CnR/Notes.paper" --previous --summary');
+  console.log('  dropbox mv "/CnR HR/a.pdf" "/CnR HR/b.pdf" "/CnR HR/Archive" --summary');
+  console.log('  dropbox sync push ./build/assets "/CnR/Reports/assets" --delete --exclude "*.map" --summary');
   console.log('');
 }
 
@@ -940,6 +5845,75 @@ function _shellQuote(s) {
   return "'" + String(s).replace(/'/g, "'\\''") + "'";
 }
 
+/**
+ * Fetch a URL into a file with curl, appending from `offset` when resuming.
+ * There is no overall time limit; curl aborts only when the transfer stalls
+ * (under 1 KB/s for a minute), so large files can take as long as they need.
+ *
+ * @returns {object} { exitCode, status, error }
+ */
+function _curlToFile(url, file, offset) {
+  var cmd = 'curl -sS -L --fail --speed-limit 1024 --speed-time 60 -w ' + _shellQuote('%{http_code}');
+  if (offset > 0) {
+    cmd += ' -C ' + offset;
+  }
+  cmd += ' -o ' + _shellQuote(file) + ' ' + _shellQuote(url);
+  try {
+    var out = require('child_process').execSync(cmd, {
+      encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe']
+    });
+    return { exitCode: 0, status: parseInt(out, 10) || 0 };
+  } catch (err) {
+    return {
+      exitCode: err.status,
+      status: parseInt(err.stdout ? err.stdout.toString() : '', 10) || 0,
+      error: (err.stderr ? err.stderr.toString().trim() : '') || err.message
+    };
+  }
+}
+
+/**
+ * Compute the Dropbox content_hash of a local file: the SHA-256 of the
+ * concatenated SHA-256 digests of each 4 MB block.
+ * https://www.dropbox.com/developers/reference/content-hash
+ */
+function computeContentHash(filePath) {
+  var crypto = require('crypto');
+  var blockSize = 4 * 1024 * 1024;
+  var buffer = Buffer.alloc(blockSize);
+  var overall = crypto.createHash('sha256');
+  var fd = fs.openSync(filePath, 'r');
+  try {
+    var read;
+    while ((read = fs.readSync(fd, buffer, 0, blockSize, null)) > 0) {
+      overall.update(crypto.createHash('sha256').update(buffer.slice(0, read)).digest());
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return overall.digest('hex');
+}
+
+// Bodies larger than this are sent from a temp file instead of inline
+var INLINE_BODY_LIMIT = 64 * 1024;
+
+// Proxy errors saying the stored token itself is missing, expired or
+// revoked. Anything else, including a token refresh that failed on the
+// way (a timeout, a 5xx), may pass and is retried.
+var PROXY_TOKEN_ERROR = new RegExp('\\b(no|missing|expired|invalid|revoked) (\\w+ )?token\\b|' +
+  '\\btoken (has expired|expired|is (missing|invalid|expired|revoked)|not found|not configured|revoked)\\b|' +
+  '\\binvalid_grant\\b|\\bunauthori[sz]ed\\b|\\bre-?authori[sz]e\\b', 'i');
+
+// Bodies can be whole documents, so the file is readable by this user
+// only, and "wx" refuses a file (or symlink) planted at the name first
+function _writeTempBody(body) {
+  var tmpPath = path.join(require('os').tmpdir(),
+    'dropbox-body-' + process.pid + '-' + Date.now() + '-' + require('crypto').randomBytes(8).toString('hex'));
+  fs.writeFileSync(tmpPath, typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+    { mode: PRIVATE_FILE_MODE, flag: 'wx' });
+  return tmpPath;
+}
+
 function proxyHasToken(tokenName) {
   if (!PAVE_PROXY_BASE) return false;
   try {
@@ -958,7 +5932,8 @@ function proxyHasToken(tokenName) {
 function proxyFetch(tokenName, url, options) {
   options = options || {};
   if (!PAVE_PROXY_BASE) {
-    throw new Error('PAVE_PROXY_URL not set - cannot reach auth proxy');
+    throw typedError('proxy_unavailable', 'PAVE_PROXY_URL not set - cannot reach auth proxy ' +
+      '(or set DROPBOX_REFRESH_TOKEN, DROPBOX_APP_KEY and DROPBOX_APP_SECRET to call Dropbox directly)');
   }
 
   var parsed = new URL(url);
@@ -989,9 +5964,17 @@ function proxyFetch(tokenName, url, options) {
     cmd += ' -H ' + _shellQuote(k + ': ' + headers[k]);
   }
 
+  // Binary and large bodies are passed through a temp file: -d mangles
+  // binary data and a single shell argument is limited to ~128 KB
+  var bodyFile = null;
   if (options.body) {
-    var bodyStr = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
-    cmd += ' -d ' + _shellQuote(bodyStr);
+    if (Buffer.isBuffer(options.body) || options.body.length > INLINE_BODY_LIMIT) {
+      bodyFile = _writeTempBody(options.body);
+      cmd += ' --data-binary @' + _shellQuote(bodyFile);
+    } else {
+      var bodyStr = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+      cmd += ' -d ' + _shellQuote(bodyStr);
+    }
   }
 
   cmd += ' ' + _shellQuote(proxyUrl);
@@ -1006,7 +5989,15 @@ function proxyFetch(tokenName, url, options) {
     var stdout = err.stdout ? err.stdout.toString() : '';
     var stderr = err.stderr ? err.stderr.toString() : '';
     if (stdout) { out = stdout; } else {
-      throw new Error('Proxy request failed: ' + (stderr.trim() || err.message));
+      var proxyErr = new Error('Proxy request failed: ' + (stderr.trim() || err.message));
+      proxyErr.code = 'proxy_unavailable';
+      proxyErr.transient = true;
+      proxyErr.notSent = CURL_NOT_SENT.indexOf(err.status) !== -1;
+      throw proxyErr;
+    }
+  } finally {
+    if (bodyFile) {
+      try { fs.unlinkSync(bodyFile); } catch (e) { /* already gone */ }
     }
   }
 
@@ -1015,7 +6006,18 @@ function proxyFetch(tokenName, url, options) {
     return { ok: true, status: 200, headers: { get: function() { return null; } },
       text: function() { return out; }, json: function() { return JSON.parse(out || '{}'); } };
   }
-  if (resp.error) throw new Error(resp.error);
+  if (resp.error) {
+    // The proxy could not complete the upstream request. A missing or
+    // expired dropbox token will not fix itself, so it is not retried.
+    var upstreamErr = new Error(resp.error);
+    if (PROXY_TOKEN_ERROR.test(resp.error)) {
+      upstreamErr.code = 'auth_expired';
+    } else {
+      upstreamErr.code = 'proxy_unavailable';
+      upstreamErr.transient = true;
+    }
+    throw upstreamErr;
+  }
   if (resp.savedTo) {
     return { ok: resp.ok || false, status: resp.status || 200, savedTo: resp.savedTo,
       headers: { get: function() { return null; } },
@@ -1028,6 +6030,481 @@ function proxyFetch(tokenName, url, options) {
     text: function() { return resp.body || ''; }, json: function() { return JSON.parse(resp.body || '{}'); } };
 }
 
+// ── Transports ──
+// DropboxClient sends authenticated requests through a transport whose
+// fetch(url, options) returns { ok, status, headers.get(), text(), json(),
+// savedTo }. With PAVE_PROXY_URL set the PAVE proxy adds the token;
+// otherwise DROPBOX_REFRESH_TOKEN (or DROPBOX_ACCESS_TOKEN) is used to call
+// Dropbox directly.
+function defaultTransport() {
+  if (!PAVE_PROXY_BASE && (process.env.DROPBOX_REFRESH_TOKEN || process.env.DROPBOX_ACCESS_TOKEN)) {
+    return new DirectTransport();
+  }
+  return new ProxyTransport('dropbox');
+}
+
+// A short name for a credential that does not give the credential away
+function credentialKey(secret) {
+  return require('crypto').createHash('sha1').update(secret).digest('hex').slice(0, 16);
+}
+
+/**
+ * Requests go through the PAVE auth proxy, which holds the token.
+ */
+function ProxyTransport(tokenName) {
+  this.name = 'proxy';
+  this.tokenName = tokenName;
+  // Which Dropbox account this reaches, for keying caches
+  this.identity = credentialKey('proxy:' + PAVE_PROXY_BASE + ':' + tokenName);
+}
+
+ProxyTransport.prototype.fetch = function(url, options) {
+  return proxyFetch(this.tokenName, url, options);
+};
+
+/**
+ * Requests go straight to Dropbox with a bearer token.
+ *
+ * With a refresh token, a short-lived access token is fetched from
+ * /oauth2/token and cached in the per-user cacheDir() (mode 600, in a
+ * directory only this user can open) until a minute before it
+ * expires; a request rejected with expired_access_token gets one retry
+ * with a new token. A fixed DROPBOX_ACCESS_TOKEN is used as is.
+ *
+ * @param {object} [options] - { accessToken, refreshToken, appKey, appSecret, tokenUrl, cacheFile }
+ *   defaulting to DROPBOX_ACCESS_TOKEN, DROPBOX_REFRESH_TOKEN, DROPBOX_APP_KEY,
+ *   DROPBOX_APP_SECRET and DROPBOX_OAUTH_URL
+ */
+function DirectTransport(options) {
+  options = options || {};
+  this.name = 'direct';
+  this.staticToken = options.accessToken || process.env.DROPBOX_ACCESS_TOKEN || null;
+  this.refreshToken = options.refreshToken || process.env.DROPBOX_REFRESH_TOKEN || null;
+  this.appKey = options.appKey || process.env.DROPBOX_APP_KEY || null;
+  this.appSecret = options.appSecret || process.env.DROPBOX_APP_SECRET || null;
+  this.tokenUrl = options.tokenUrl || process.env.DROPBOX_OAUTH_URL || 'https://api.dropboxapi.com/oauth2/token';
+  this.identity = credentialKey(this.refreshToken ? this.appKey + ':' + this.refreshToken : 'static:' + this.staticToken);
+  this.cacheFile = options.cacheFile || (this.refreshToken ? path.join(cacheDir(), 'token-' + this.identity + '.json') : null);
+  this.token = null;
+}
+
+/**
+ * The access token to send, refreshed when missing, about to expire or
+ * when forceRefresh is set.
+ */
+DirectTransport.prototype.accessToken = function(forceRefresh) {
+  if (!this.refreshToken) {
+    if (!this.staticToken) {
+      throw typedError('auth_expired', 'No Dropbox token: set DROPBOX_REFRESH_TOKEN (with DROPBOX_APP_KEY) or DROPBOX_ACCESS_TOKEN');
+    }
+    return this.staticToken;
+  }
+  if (!forceRefresh) {
+    var cached = this.token || readPrivateJson(this.cacheFile);
+    if (cached && cached.expires_at - 60000 > Date.now()) {
+      this.token = cached;
+      return cached.access_token;
+    }
+  }
+  this.saveToken(this.refresh());
+  return this.token.access_token;
+};
+
+// Keep an access token for this and later runs
+DirectTransport.prototype.saveToken = function(token) {
+  this.token = token;
+  writePrivateJson(this.cacheFile, token);
+};
+
+// Forget the cached access token (after it has been revoked)
+DirectTransport.prototype.forgetToken = function() {
+  this.token = null;
+  if (this.cacheFile) {
+    try { fs.unlinkSync(this.cacheFile); } catch (e) { /* not cached */ }
+  }
+};
+
+/**
+ * Exchange the refresh token for a new access token.
+ * @returns {object} { access_token, expires_at, scope }
+ */
+DirectTransport.prototype.refresh = function() {
+  if (!this.appKey) {
+    throw typedError('auth_expired', 'DROPBOX_APP_KEY is required to refresh the Dropbox access token');
+  }
+  var form = 'grant_type=refresh_token&refresh_token=' + encodeURIComponent(this.refreshToken) +
+    '&client_id=' + encodeURIComponent(this.appKey) +
+    (this.appSecret ? '&client_secret=' + encodeURIComponent(this.appSecret) : '');
+  var response = this.send(this.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form
+  }, null);
+  var data = {};
+  try { data = response.json(); } catch (e) { /* not JSON */ }
+  if (!response.ok || !data.access_token) {
+    if (response.status >= 500 || response.status === 429) {
+      var retryErr = new Error('Token refresh failed with HTTP ' + response.status);
+      retryErr.code = 'server_error';
+      retryErr.transient = true;
+      retryErr.notSent = true;
+      throw retryErr;
+    }
+    var err = typedError('auth_expired', 'Could not refresh the Dropbox access token: ' +
+      (data.error_description || data.error || 'HTTP ' + response.status));
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return {
+    access_token: data.access_token,
+    expires_at: Date.now() + (data.expires_in || 14400) * 1000,
+    scope: data.scope || null
+  };
+};
+
+DirectTransport.prototype.fetch = function(url, options) {
+  var response = this.send(url, options || {}, this.accessToken());
+  if (response.status === 401 && this.refreshToken && /expired_access_token/.test(response.text())) {
+    response = this.send(url, options || {}, this.accessToken(true));
+  }
+  return response;
+};
+
+/**
+ * Run one request with curl. Headers (including the token) and the body
+ * are passed in files so they never appear on a command line; the body
+ * comes back through a file so binary content survives. All of them are
+ * kept in a fresh directory only this user can open, since token requests
+ * carry the refresh token and client secret and their responses carry the
+ * access token.
+ */
+DirectTransport.prototype.send = function(url, options, token) {
+  // mkdtemp creates the directory with mode 0700
+  var dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'dropbox-direct-'));
+  var headerFile = path.join(dir, 'headers');
+  var dumpFile = path.join(dir, 'dump');
+  var bodyOut = path.join(dir, 'out');
+  var bodyFile = null;
+
+  var headers = Object.assign({}, options.headers || {});
+  if (options.body && !headers['Content-Type']) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (token) {
+    headers.Authorization = 'Bearer ' + token;
+  }
+  fs.writeFileSync(headerFile, Object.keys(headers).map(function(name) {
+    return name + ': ' + headers[name];
+  }).join('\n') + '\n', { mode: PRIVATE_FILE_MODE });
+
+  var timeout = options.timeout || 30000;
+  var cmd = 'curl -sS -X ' + (options.method || 'GET') + ' --max-time ' + Math.ceil(timeout / 1000) +
+    ' -H @' + _shellQuote(headerFile) + ' -D ' + _shellQuote(dumpFile) + ' -o ' + _shellQuote(bodyOut) +
+    ' -w ' + _shellQuote('%{http_code}');
+  if (options.body) {
+    bodyFile = path.join(dir, 'body');
+    fs.writeFileSync(bodyFile, typeof options.body === 'string' || Buffer.isBuffer(options.body)
+      ? options.body : JSON.stringify(options.body), { mode: PRIVATE_FILE_MODE });
+    cmd += ' --data-binary @' + _shellQuote(bodyFile);
+  }
+  cmd += ' ' + _shellQuote(url);
+
+  try {
+    var status;
+    try {
+      status = parseInt(require('child_process').execSync(cmd, {
+        encoding: 'utf8', timeout: timeout + 5000, stdio: ['pipe', 'pipe', 'pipe']
+      }), 10);
+    } catch (err) {
+      var netErr = new Error('Request failed: ' + ((err.stderr ? err.stderr.toString().trim() : '') || err.message));
+      netErr.code = 'network_error';
+      netErr.transient = true;
+      netErr.notSent = CURL_NOT_SENT.indexOf(err.status) !== -1;
+      throw netErr;
+    }
+
+    // The last header block is the final response (after any 100 Continue)
+    var blocks = (fs.existsSync(dumpFile) ? fs.readFileSync(dumpFile, 'utf8') : '').split(/\r?\n\r?\n/).filter(function(block) {
+      return /^HTTP\//.test(block);
+    });
+    var responseHeaders = {};
+    (blocks[blocks.length - 1] || '').split(/\r?\n/).slice(1).forEach(function(line) {
+      var colon = line.indexOf(':');
+      if (colon > 0) responseHeaders[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    var body = fs.existsSync(bodyOut) ? fs.readFileSync(bodyOut) : Buffer.alloc(0);
+    var ok = status >= 200 && status < 300;
+    var savedTo = null;
+    if (ok && options.saveTo) {
+      fs.writeFileSync(options.saveTo, body);
+      savedTo = options.saveTo;
+    }
+    var text = savedTo ? '' : body.toString('utf8');
+    return { ok: ok, status: status, savedTo: savedTo,
+      headers: { get: function(name) { var value = responseHeaders[name.toLowerCase()]; return value === undefined ? null : value; } },
+      text: function() { return text; }, json: function() { return JSON.parse(text || '{}'); } };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// ── OAuth Login (PKCE) ──
+// Loopback redirect used by `auth login`; it has to be added to the app's
+// Redirect URIs in the Dropbox App Console
+var AUTH_LOOPBACK_PORT = 53682;
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The authorize endpoint declared under tokens.dropbox.oauth in skill.yaml
+function oauthAuthorizeUrl() {
+  if (process.env.DROPBOX_AUTHORIZE_URL) {
+    return process.env.DROPBOX_AUTHORIZE_URL;
+  }
+  try {
+    var skill = parseYaml(fs.readFileSync(path.join(__dirname, 'skill.yaml'), 'utf8'));
+    return safeGet(skill, 'tokens.dropbox.oauth.authorizeUrl', null) || 'https://www.dropbox.com/oauth2/authorize';
+  } catch (e) {
+    return 'https://www.dropbox.com/oauth2/authorize';
+  }
+}
+
+/**
+ * Start a PKCE authorization: a fresh code verifier and the URL to open.
+ * Without a redirect URI Dropbox shows the code for the user to paste.
+ *
+ * @returns {object} { url, verifier, state, redirect_uri }
+ */
+function startAuthorization(appKey, redirectUri) {
+  var crypto = require('crypto');
+  var verifier = base64Url(crypto.randomBytes(64));
+  var state = base64Url(crypto.randomBytes(16));
+  var query = {
+    client_id: appKey,
+    response_type: 'code',
+    code_challenge: base64Url(crypto.createHash('sha256').update(verifier).digest()),
+    code_challenge_method: 'S256',
+    token_access_type: 'offline',
+    state: state
+  };
+  if (redirectUri) {
+    query.redirect_uri = redirectUri;
+  }
+  return {
+    url: oauthAuthorizeUrl() + '?' + Object.keys(query).map(function(key) {
+      return key + '=' + encodeURIComponent(query[key]);
+    }).join('&'),
+    verifier: verifier,
+    state: state,
+    redirect_uri: redirectUri || null
+  };
+}
+
+/**
+ * Exchange an authorization code for tokens, and cache the access token
+ * so direct mode can use it straight away.
+ *
+ * @returns {object} /oauth2/token response: { access_token, refresh_token, expires_in, scope, account_id, ... }
+ */
+function exchangeAuthCode(appKey, code, pending) {
+  var transport = new DirectTransport({ appKey: appKey });
+  var form = 'grant_type=authorization_code&code=' + encodeURIComponent(code.trim()) +
+    '&client_id=' + encodeURIComponent(appKey) +
+    '&code_verifier=' + encodeURIComponent(pending.verifier) +
+    (pending.redirect_uri ? '&redirect_uri=' + encodeURIComponent(pending.redirect_uri) : '');
+  var response = transport.send(transport.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form
+  }, null);
+  var data = {};
+  try { data = response.json(); } catch (e) { /* not JSON */ }
+  if (!response.ok || !data.refresh_token) {
+    var err = typedError('auth_expired', 'Authorization failed: ' + (data.error_description || data.error || 'HTTP ' + response.status));
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  new DirectTransport({ appKey: appKey, refreshToken: data.refresh_token }).saveToken({
+    access_token: data.access_token,
+    expires_at: Date.now() + (data.expires_in || 14400) * 1000,
+    scope: data.scope || null
+  });
+  return data;
+}
+
+// Where a paste-the-code login keeps its verifier until `auth login --code`
+function pendingAuthFile() {
+  return path.join(cacheDir(), 'auth-pending.json');
+}
+
+// Whether callbacks still run after main() returns. Node keeps a listening
+// server and its timers alive; the SpiderMonkey sandbox runs the script
+// straight through and has no http server, so they would never fire there.
+function hasEventLoop() {
+  try {
+    return !!(process.versions && process.versions.node) && typeof require('http').createServer === 'function';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wait for Dropbox to redirect the browser to the loopback address, then
+ * call back with (err, code). Gives up after timeoutMs. This is the only
+ * asynchronous code in the file, so it needs hasEventLoop().
+ */
+function waitForAuthCode(port, state, timeoutMs, callback) {
+  if (!hasEventLoop()) {
+    throw typedError('invalid_argument', 'Waiting for the browser redirect needs Node; use: dropbox auth login --no-redirect');
+  }
+  var finished = false;
+  var server = require('http').createServer(function(req, res) {
+    var query = new URL(req.url, 'http://127.0.0.1').searchParams;
+    if (!query.get('code') && !query.get('error')) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    var ok = query.get('state') === state && query.get('code');
+    res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/plain' });
+    res.end(ok ? 'Dropbox access granted. You can close this window.' : 'Dropbox authorization failed.');
+    finish(ok ? null : typedError('auth_expired', 'Authorization failed: ' +
+      (query.get('error_description') || query.get('error') || 'state mismatch')), ok ? query.get('code') : null);
+  });
+  var timer = setTimeout(function() {
+    finish(typedError('auth_expired', 'Timed out waiting for the Dropbox redirect'));
+  }, timeoutMs);
+
+  function finish(err, code) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    server.close();
+    callback(err, code);
+  }
+
+  server.on('error', function(err) {
+    err.code = 'local_io';
+    finish(err);
+  });
+  server.listen(port, '127.0.0.1');
+}
+
+// Try to open a URL in the desktop browser; silently does nothing headless
+function openBrowser(url) {
+  var opener = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'explorer' : 'xdg-open';
+  try {
+    require('child_process').spawn(opener, [url], { detached: true, stdio: 'ignore' })
+      .on('error', function() { /* no browser */ }).unref();
+  } catch (e) {
+    // no browser
+  }
+}
+
+// Read one line from an interactive terminal
+function promptLine(question) {
+  process.stderr.write(question);
+  var buffer = Buffer.alloc(1);
+  var bytes = [];
+  while (true) {
+    var read;
+    try {
+      read = fs.readSync(0, buffer, 0, 1, null);
+    } catch (e) {
+      if (e.code === 'EAGAIN') { sleepMs(50); continue; }
+      throw e;
+    }
+    if (!read || buffer[0] === 10) break;
+    bytes.push(buffer[0]);
+  }
+  return Buffer.from(bytes).toString('utf8').trim();
+}
+
+/**
+ * Describe the credentials available: where the token comes from, and
+ * (when one is present) the account it belongs to and its scopes.
+ */
+function authStatus(client) {
+  var status = { mode: client.transport.name, token: false, source: null };
+  if (client.transport.name === 'proxy') {
+    status.token = proxyHasToken('dropbox');
+    status.source = 'proxy';
+  } else {
+    status.token = !!(client.transport.refreshToken || client.transport.staticToken);
+    status.source = client.transport.refreshToken ? 'DROPBOX_REFRESH_TOKEN' : 'DROPBOX_ACCESS_TOKEN';
+  }
+  if (!status.token && client.transport.name === 'proxy' && !PAVE_PROXY_BASE) {
+    status.mode = 'none';
+    return status;
+  }
+
+  try {
+    var account = client.getCurrentAccount();
+    status.valid = true;
+    status.account = {
+      account_id: account.account_id,
+      name: safeGet(account, 'name.display_name', null),
+      email: account.email,
+      team: safeGet(account, 'team.name', null)
+    };
+    status.token = true;
+  } catch (err) {
+    status.valid = false;
+    status.error = err.message;
+    status.code = classifyError(err);
+  }
+  // Dropbox has no endpoint for a token's scopes; they are known only from
+  // the last refresh in direct mode
+  var token = client.transport.token;
+  status.scopes = token && token.scope ? token.scope.split(' ') : null;
+  if (token && token.expires_at) {
+    status.expires_at = new Date(token.expires_at).toISOString();
+  }
+  return status;
+}
+
+// Print the outcome of a login: the refresh token to keep and where to put it
+function printLogin(data, appKey, summary) {
+  if (!summary) {
+    console.log(JSON.stringify({
+      account_id: data.account_id,
+      team_id: data.team_id,
+      scope: data.scope,
+      app_key: appKey,
+      refresh_token: data.refresh_token
+    }));
+    return;
+  }
+  console.log('Authorized ' + (data.account_id || 'account') + (data.scope ? ' (scopes: ' + data.scope + ')' : ''));
+  console.log('\nAdd to ~/.pave/tokens.yaml, or export for direct mode:\n');
+  console.log('DROPBOX_REFRESH_TOKEN=' + data.refresh_token);
+  console.log('DROPBOX_APP_KEY=' + appKey);
+}
+
+// Print an error as JSON (or a message and hint with --summary) and exit
+// with the code for its type
+function exitWithError(error, summary) {
+  var errorType = classifyError(error);
+  if (summary) {
+    console.error('Dropbox Error: ' + error.message);
+    if (ERROR_TYPES[errorType].hint) {
+      console.error('Hint: ' + ERROR_TYPES[errorType].hint);
+    }
+  } else {
+    console.error(JSON.stringify({
+      error: error.message,
+      code: errorType,
+      status: error.status,
+      data: error.data,
+      attempts: error.attempts
+    }));
+  }
+  process.exit(ERROR_TYPES[errorType].exitCode);
+}
+
 function main() {
   var parsed = parseArgs();
   
@@ -1037,7 +6514,23 @@ function main() {
   }
   
   try {
-    var client = new DropboxClient();
+    var clientOptions = { retry: {} };
+    if (parsed.options['no-retry']) {
+      clientOptions.retry.maxRetries = 0;
+    } else if (parsed.options.retries !== undefined) {
+      clientOptions.retry.maxRetries = parseInt(parsed.options.retries, 10) || 0;
+    }
+    if (parsed.options.root !== undefined) {
+      if (!/^(team|home|\d+)$/.test(String(parsed.options.root))) {
+        console.error('Error: --root takes team, home or a namespace ID (see: dropbox namespaces)');
+        process.exit(ERROR_TYPES.invalid_argument.exitCode);
+      }
+      clientOptions.root = String(parsed.options.root);
+    }
+    if (parsed.options['as-member']) {
+      clientOptions.asMember = String(parsed.options['as-member']);
+    }
+    var client = new DropboxClient(clientOptions);
     var result;
     
     switch (parsed.command) {
@@ -1057,14 +6550,44 @@ function main() {
         }
         break;
       
+      case 'namespaces':
+        var teamNamespaces = !!parsed.options.team;
+        result = client.listNamespaces({ team: teamNamespaces });
+        
+        if (parsed.options.summary) {
+          result.forEach(function(ns) {
+            var where = teamNamespaces ? (ns.team_member_id ? 'member ' + ns.team_member_id : '')
+              : ns.path !== null ? 'mounted at ' + (ns.path || '/') : 'not mounted';
+            console.log(ns.namespace_id + '  ' + ns.type + '  ' + ns.name + (where ? '  (' + where + ')' : ''));
+          });
+          console.log('\n' + result.length + ' namespaces. Use --root <namespace_id> to work inside one.');
+        } else {
+          console.log(JSON.stringify({ namespaces: result }));
+        }
+        break;
+      
       case 'ls':
         var folderPath = parsed.positional[0] || '';
         var lsOptions = {
           recursive: parsed.options.recursive || parsed.options.r || false,
-          limit: parseInt(parsed.options.limit || parsed.options.n, 10) || 100
+          limit: parseInt(parsed.options.limit || parsed.options.n, 10) || (parsed.options.all ? 1000 : 100)
         };
         
-        result = client.listFolder(folderPath, lsOptions);
+        if (parsed.options.cached || parsed.options.refresh) {
+          result = new MetadataCache(client).listFolder(folderPath, {
+            recursive: lsOptions.recursive,
+            refresh: !!parsed.options.refresh
+          });
+        } else if (parsed.options.all) {
+          lsOptions.maxItems = parseInt(parsed.options['max-items'], 10) || 0;
+          var lsTotals = client.listFolderAll(folderPath, lsOptions, streamPrinter(parsed.options.summary, function(entry) {
+            return formatFolderEntry(entry, entry.path_display || entry.name);
+          }));
+          printStreamFooter(lsTotals, parsed.options.summary, 'items');
+          break;
+        } else {
+          result = client.listFolder(folderPath, lsOptions);
+        }
         
         if (parsed.options.summary) {
           printFolderSummary(result);
@@ -1077,8 +6600,8 @@ function main() {
         var searchQuery = parsed.positional[0];
         if (!searchQuery) {
           console.error('Error: Search query required');
-          console.error('Usage: dropbox search <query>');
-          process.exit(1);
+          console.error('Usage: dropbox search <query> [--category <c>] [--modified-after <when>] [--sort <order>]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
         var searchOptions = {
@@ -1094,7 +6617,52 @@ function main() {
           searchOptions.fileExtensions = extValue.split(',');
         }
         
-        result = client.search(searchQuery, searchOptions);
+        if (parsed.options.category) {
+          searchOptions.fileCategories = String(parsed.options.category).split(',');
+          var badCategory = searchOptions.fileCategories.filter(function(category) {
+            return SEARCH_CATEGORIES.indexOf(category) === -1;
+          })[0];
+          if (badCategory !== undefined || parsed.options.local) {
+            console.error(parsed.options.local
+              ? 'Error: --category is not supported with --local (use --ext)'
+              : 'Error: Unknown category "' + badCategory + '"');
+            console.error('Categories: ' + SEARCH_CATEGORIES.join(', '));
+            process.exit(ERROR_TYPES.invalid_argument.exitCode);
+          }
+        }
+        
+        if (parsed.options.sort) {
+          if (SEARCH_SORTS.indexOf(parsed.options.sort) === -1) {
+            console.error('Error: --sort must be one of ' + SEARCH_SORTS.join(', '));
+            process.exit(ERROR_TYPES.invalid_argument.exitCode);
+          }
+          searchOptions.sort = parsed.options.sort;
+        }
+        
+        searchOptions.filenameOnly = !!parsed.options['filename-only'];
+        ['modified-after', 'modified-before'].forEach(function(option) {
+          if (parsed.options[option] !== undefined) {
+            searchOptions[option === 'modified-after' ? 'modifiedAfter' : 'modifiedBefore'] =
+              parseSearchDate(parsed.options[option], option);
+          }
+        });
+        ['min-size', 'max-size'].forEach(function(option) {
+          if (parsed.options[option] !== undefined) {
+            searchOptions[option === 'min-size' ? 'minSize' : 'maxSize'] = parseSizeOption(parsed.options[option], option);
+          }
+        });
+        
+        if (parsed.options.local) {
+          result = new MetadataCache(client).search(searchQuery, searchOptions);
+        } else if (parsed.options.all) {
+          searchOptions.maxItems = parseInt(parsed.options['max-items'], 10) || 0;
+          var searchTotals = client.searchAll(searchQuery, searchOptions,
+            streamPrinter(parsed.options.summary, formatSearchMatch));
+          printStreamFooter(searchTotals, parsed.options.summary, 'results');
+          break;
+        } else {
+          result = client.search(searchQuery, searchOptions);
+        }
         
         if (parsed.options.summary) {
           printSearchSummary(result, searchQuery);
@@ -1105,7 +6673,21 @@ function main() {
       
       case 'paper':
         var paperFolder = parsed.positional[0] || '';
-        result = client.listPaperDocs(paperFolder);
+        
+        if (parsed.options.cached || parsed.options.refresh) {
+          result = new MetadataCache(client).listPaperDocs(paperFolder, !!parsed.options.refresh);
+        } else if (parsed.options.all) {
+          var paperTotals = client.searchAll('.paper', {
+            path: paperFolder || undefined,
+            maxResults: 100,
+            fileExtensions: ['paper'],
+            maxItems: parseInt(parsed.options['max-items'], 10) || 0
+          }, streamPrinter(parsed.options.summary, formatPaperDocMatch));
+          printStreamFooter(paperTotals, parsed.options.summary, 'Paper documents');
+          break;
+        } else {
+          result = client.listPaperDocs(paperFolder);
+        }
         
         if (parsed.options.summary) {
           printPaperDocsSummary(result);
@@ -1118,14 +6700,34 @@ function main() {
         var paperQuery = parsed.positional[0];
         if (!paperQuery) {
           console.error('Error: Search query required');
-          console.error('Usage: dropbox paper-search <query>');
-          process.exit(1);
+          console.error('Usage: dropbox paper-search <query> [--local]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
         var paperSearchOptions = {
           maxResults: parseInt(parsed.options.max || parsed.options.n, 10) || 20
         };
         
+        if (parsed.options.local) {
+          paperSearchOptions.path = parsed.options.path || parsed.options.p;
+          result = new PaperIndex(client).search(paperQuery, paperSearchOptions);
+          if (parsed.options.summary) {
+            printIndexSearchSummary(result);
+          } else {
+            console.log(JSON.stringify(result));
+          }
+          break;
+        }
+        
+        if (parsed.options.all) {
+          paperSearchOptions.fileExtensions = ['paper'];
+          paperSearchOptions.maxItems = parseInt(parsed.options['max-items'], 10) || 0;
+          var paperSearchTotals = client.searchAll(paperQuery, paperSearchOptions,
+            streamPrinter(parsed.options.summary, formatSearchMatch));
+          printStreamFooter(paperSearchTotals, parsed.options.summary, 'results');
+          break;
+        }
+        
         result = client.searchPaperDocs(paperQuery, paperSearchOptions);
         
         if (parsed.options.summary) {
@@ -1138,13 +6740,26 @@ function main() {
       case 'read':
         var readPath = parsed.positional[0];
         if (!readPath) {
-          console.error('Error: Paper doc path required');
-          console.error('Usage: dropbox read <path>');
-          process.exit(1);
+          console.error('Error: File path required');
+          console.error('Usage: dropbox read <path> [--clean]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        if (readPath.toLowerCase().slice(-6) !== '.paper') {
+          // Word, Excel, CSV, PDF, exports and text files come back as markdown
+          result = client.readDocument(readPath);
+          if (!/\S/.test(result.content)) {
+            console.error('No text found in ' + result.path + ' (a scan or image?). Try: dropbox preview or thumbnail');
+          }
+          console.log(result.content);
+          break;
         }
         
         var readFormat = parsed.options.format || parsed.options.f || 'markdown';
         var content = client.getPaperDocContent(readPath, readFormat);
+        if (parsed.options.clean) {
+          content = paperToMarkdown(content, { docPath: readPath });
+        }
         console.log(content);
         break;
       
@@ -1152,40 +6767,20 @@ function main() {
         var createPath = parsed.positional[0];
         if (!createPath) {
           console.error('Error: Paper doc path required');
-          process.exit(1);
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
-        var createContent;
-        if (parsed.options.input || parsed.options.i) {
-          var inputFile = parsed.options.input || parsed.options.i;
-          createContent = fs.readFileSync(inputFile, 'utf-8');
-        } else if (parsed.options.stdin) {
-          // Read from stdin (sandbox-compatible approach)
-          try {
-            // In sandbox, we can read stdin as a file
-            createContent = fs.readFileSync('/dev/stdin', 'utf-8').trim();
-          } catch (e) {
-            console.error('Error: Failed to read from stdin');
-            console.error('Make sure to pipe content: echo "content" | dropbox ...');
-            process.exit(1);
-          }
-          if (!createContent) {
-            console.error('Error: No content received from stdin');
-            process.exit(1);
-          }
-        } else if (parsed.options.content || parsed.options.c) {
-          createContent = parsed.options.content || parsed.options.c;
-        } else {
-          console.error('Error: Content is required. Use one of:');
-          console.error('  --content "text"     Inline content (single line only)');
-          console.error('  --input file.md      Read from file (recommended for multi-line)');
-          console.error('  --stdin              Read from stdin (recommended for multi-line)');
-          console.error('');
-          console.error('For multi-line content, use --input or --stdin to avoid parameter parsing issues.');
-          process.exit(1);
+        var createTemplate = parsed.options.template;
+        var createContent = createTemplate
+          ? renderTemplate(readTemplate(client, createTemplate), templateVars(parsed.options.vars, parsed.options['var']))
+          : readContentOption(parsed);
+        
+        if (parsed.options['dry-run']) {
+          console.log(createContent);
+          break;
         }
         
-        var createFormat = parsed.options.format || parsed.options.f || 'markdown';
+        var createFormat = createTemplate ? 'markdown' : parsed.options.format || parsed.options.f || 'markdown';
         result = client.createPaperDoc(createPath, createContent, createFormat);
         
         if (parsed.options.summary) {
@@ -1199,45 +6794,58 @@ function main() {
         var updatePath = parsed.positional[0];
         if (!updatePath) {
           console.error('Error: Paper doc path required');
-          process.exit(1);
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
-        var updateContent;
-        if (parsed.options.input || parsed.options.i) {
-          var updateInputFile = parsed.options.input || parsed.options.i;
-          updateContent = fs.readFileSync(updateInputFile, 'utf-8');
-        } else if (parsed.options.stdin) {
-          // Read from stdin (sandbox-compatible approach)
-          try {
-            // In sandbox, we can read stdin as a file
-            updateContent = fs.readFileSync('/dev/stdin', 'utf-8').trim();
-          } catch (e) {
-            console.error('Error: Failed to read from stdin');
-            console.error('Make sure to pipe content: echo "content" | dropbox ...');
-            process.exit(1);
-          }
-          if (!updateContent) {
-            console.error('Error: No content received from stdin');
-            process.exit(1);
-          }
-        } else if (parsed.options.content || parsed.options.c) {
-          updateContent = parsed.options.content || parsed.options.c;
-        } else {
-          console.error('Error: Content is required. Use one of:');
-          console.error('  --content "text"     Inline content (single line only)');
-          console.error('  --input file.md      Read from file (recommended for multi-line)');
-          console.error('  --stdin              Read from stdin (recommended for multi-line)');
-          console.error('');
-          console.error('For multi-line content, use --input or --stdin to avoid parameter parsing issues.');
-          process.exit(1);
-        }
+        var updateContent = readContentOption(parsed);
         
         var updateFormat = parsed.options.format || parsed.options.f || 'markdown';
         var updatePolicy = parsed.options.policy || 'overwrite';
+        // 'update' has always meant append on the command line
+        if (updatePolicy === 'update') {
+          updatePolicy = 'append';
+        }
+        if (['overwrite', 'append', 'prepend'].indexOf(updatePolicy) === -1) {
+          console.error('Error: Unknown policy "' + updatePolicy + '"');
+          console.error('Use one of: overwrite, append (or update), prepend');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
         result = client.updatePaperDoc(updatePath, updateContent, updateFormat, updatePolicy);
         
         if (parsed.options.summary) {
-          console.log('Updated: ' + (result.path_display || updatePath));
+          console.log('Updated: ' + (result.path_display || updatePath) +
+            (result.paper_revision !== undefined ? ' (revision ' + result.paper_revision + ')' : ''));
+        } else {
+          console.log(JSON.stringify(result));
+        }
+        break;
+      
+      case 'paper-edit':
+        var editPath = parsed.positional[0];
+        var editSection = parsed.options.section || parsed.options.s;
+        if (!editPath || !editSection) {
+          console.error('Error: Paper doc path and --section required');
+          console.error('Usage: dropbox paper-edit <path> --section "Heading > Subheading" --input file.md');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var editMode = parsed.options.mode || 'replace';
+        if (['replace', 'append', 'prepend'].indexOf(editMode) === -1) {
+          console.error('Error: Unknown mode "' + editMode + '"');
+          console.error('Use one of: replace, append, prepend');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var editContent = readContentOption(parsed);
+        result = client.editPaperSection(editPath, editSection, editContent, editMode, {
+          dryRun: !!parsed.options['dry-run']
+        });
+        
+        if (parsed.options['dry-run']) {
+          console.log(parsed.options.summary ? result.markdown : JSON.stringify(result));
+        } else if (parsed.options.summary) {
+          console.log('Updated section "' + editSection + '" in ' + editPath +
+            ' (revision ' + result.paper_revision + ')');
         } else {
           console.log(JSON.stringify(result));
         }
@@ -1247,10 +6855,14 @@ function main() {
         var infoPath = parsed.positional[0];
         if (!infoPath) {
           console.error('Error: File path required');
-          process.exit(1);
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
-        result = client.getMetadata(infoPath);
+        if (parsed.options.cached || parsed.options.refresh) {
+          result = new MetadataCache(client).getMetadata(infoPath, !!parsed.options.refresh);
+        } else {
+          result = client.getMetadata(infoPath);
+        }
         
         if (parsed.options.summary) {
           console.log('Name: ' + result.name);
@@ -1270,14 +6882,111 @@ function main() {
         }
         break;
       
+      case 'revisions':
+        var revisionsPath = parsed.positional[0];
+        if (!revisionsPath) {
+          console.error('Error: File path required');
+          console.error('Usage: dropbox revisions <path> [--limit <n>]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        result = client.listRevisions(revisionsPath, parseInt(parsed.options.limit || parsed.options.n, 10) || 10);
+        var modifierIds = result.entries.map(function(entry) { return safeGet(entry, 'sharing_info.modified_by', null); });
+        var modifierNames = {};
+        try {
+          modifierNames = client.getAccountNames(modifierIds);
+        } catch (e) {
+          // Names are a nicety; fall back to account IDs
+        }
+        result.entries.forEach(function(entry, i) {
+          if (modifierIds[i]) entry.modified_by_name = modifierNames[modifierIds[i]] || modifierIds[i];
+        });
+        
+        if (parsed.options.summary) {
+          console.log('Revisions of ' + revisionsPath + (result.is_deleted ? ' (deleted)' : '') + ':\n');
+          result.entries.forEach(function(entry, i) {
+            console.log((i === 0 && !result.is_deleted ? '* ' : '  ') + entry.rev + '  ' +
+              formatSize(entry.size) + '  ' + new Date(entry.server_modified).toLocaleString() +
+              (entry.modified_by_name ? '  ' + entry.modified_by_name : ''));
+          });
+        } else {
+          console.log(JSON.stringify(result));
+        }
+        break;
+      
+      case 'restore':
+        var restorePath = parsed.positional[0];
+        var restoreRev = (parsed.options.rev || [])[0];
+        if (!restorePath || (!restoreRev && !parsed.options.previous)) {
+          console.error('Error: File path and --rev or --previous required');
+          console.error('Usage: dropbox restore <path> --rev <rev>');
+          console.error('       dropbox restore <path> --previous');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        if (!restoreRev) {
+          var history = client.listRevisions(restorePath, 2).entries;
+          if (history.length < 2) {
+            console.error('Error: ' + restorePath + ' has no earlier revision');
+            process.exit(ERROR_TYPES.not_found.exitCode);
+          }
+          restoreRev = history[1].rev;
+        }
+        result = client.restoreFile(restorePath, restoreRev);
+        
+        if (parsed.options.summary) {
+          console.log('Restored ' + result.path_display + ' to revision ' + restoreRev +
+            ' (' + formatSize(result.size) + ', new revision ' + result.rev + ')');
+        } else {
+          console.log(JSON.stringify(result));
+        }
+        break;
+      
+      case 'diff':
+        var diffPath = parsed.positional[0];
+        var diffRevs = parsed.options.rev || [];
+        if (!diffPath || diffRevs.length < 1 || diffRevs.length > 2) {
+          console.error('Error: File path and one or two --rev options required');
+          console.error('Usage: dropbox diff <path> --rev <a> [--rev <b>]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var oldText = client.getRevisionText(diffPath, diffRevs[0]);
+        var newText = client.getRevisionText(diffPath, diffRevs[1] || null);
+        var diffOutput;
+        if (oldText.indexOf('\u0000') !== -1 || newText.indexOf('\u0000') !== -1) {
+          diffOutput = oldText === newText ? '' : 'Binary revisions differ';
+        } else {
+          diffOutput = unifiedDiff(oldText, newText, diffPath + '@' + diffRevs[0],
+            diffPath + '@' + (diffRevs[1] || 'current'));
+        }
+        
+        if (diffOutput) {
+          console.log(diffOutput);
+        } else if (parsed.options.summary) {
+          console.log('No differences');
+        }
+        break;
+      
       case 'link':
         var linkPath = parsed.positional[0];
         if (!linkPath) {
           console.error('Error: File path required');
-          process.exit(1);
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
-        result = client.getSharedLink(linkPath);
+        // New links are team-only unless asked otherwise: a public link to
+        // an HR file is easy to forward and hard to notice. Settings given
+        // here also apply to an existing link.
+        if (parsed.options.visibility || parsed.options.expires || parsed.options.password) {
+          result = client.createSharedLink(linkPath, sharedLinkSettings({
+            visibility: parsed.options.visibility,
+            expires: parsed.options.expires,
+            password: parsed.options.password
+          }));
+        } else {
+          result = client.getSharedLink(linkPath);
+        }
         
         if (parsed.options.summary) {
           console.log('Shared link: ' + result.url);
@@ -1286,11 +6995,270 @@ function main() {
         }
         break;
       
+      case 'members':
+        var membersAction = parsed.positional[0];
+        var membersPath = parsed.positional[1];
+        var memberEmails = parsed.positional.slice(2);
+        var memberRole = parsed.options.role || (membersAction === 'add' ? 'viewer' : null);
+        if (['list', 'add', 'remove', 'update'].indexOf(membersAction) === -1 || !membersPath ||
+            (membersAction !== 'list' && !memberEmails.length) || (membersAction === 'update' && !memberRole)) {
+          console.error('Error: members list|add|remove|update <path> required');
+          console.error('Usage: dropbox members list <path>');
+          console.error('       dropbox members add <path> <email...> [--role editor|viewer] [--message <text>]');
+          console.error('       dropbox members remove <path> <email...>');
+          console.error('       dropbox members update <path> <email...> --role editor|viewer');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        if (memberRole && MEMBER_ROLES.indexOf(memberRole) === -1) {
+          console.error('Error: Unknown role "' + memberRole + '" (use ' + MEMBER_ROLES.join(', ') + ')');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var memberTarget = client.sharingTarget(membersPath, membersAction === 'add');
+        if (membersAction === 'list') {
+          result = client.listMembers(memberTarget);
+          if (parsed.options.summary) {
+            printMembers(result);
+          } else {
+            console.log(JSON.stringify(result));
+          }
+          break;
+        }
+        if (memberTarget.isFolder && !memberTarget.sharedFolderId) {
+          console.error('Error: ' + memberTarget.path + ' is not a shared folder');
+          process.exit(ERROR_TYPES.not_found.exitCode);
+        }
+        
+        result = { path: memberTarget.path, entries: [], succeeded: 0, failed: 0 };
+        memberEmails.forEach(function(email) {
+          var entry = { email: email };
+          try {
+            if (membersAction === 'add') {
+              client.addMember(memberTarget, email, memberRole, {
+                message: parsed.options.message,
+                quiet: !!parsed.options.quiet
+              });
+            } else if (membersAction === 'remove') {
+              client.removeMember(memberTarget, email);
+            } else {
+              client.updateMember(memberTarget, email, memberRole);
+            }
+            entry.ok = true;
+            if (memberRole) entry.role = memberRole;
+            result.succeeded++;
+          } catch (err) {
+            entry.ok = false;
+            entry.error = err.message;
+            entry.code = classifyError(err);
+            result.failed++;
+          }
+          result.entries.push(entry);
+        });
+        printBatchResult(result, parsed.options.summary,
+          { add: 'Added', remove: 'Removed', update: 'Updated' }[membersAction] +
+          (memberRole && membersAction !== 'remove' ? ' as ' + memberRole : ''));
+        break;
+      
+      case 'cache':
+        var cacheAction = parsed.positional[0];
+        if (['status', 'clear', 'refresh'].indexOf(cacheAction) === -1 ||
+            (cacheAction === 'refresh' && parsed.positional[1] === undefined)) {
+          console.error('Error: cache status|clear|refresh required');
+          console.error('Usage: dropbox cache status');
+          console.error('       dropbox cache clear');
+          console.error('       dropbox cache refresh <path> [--recursive]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var metadataCache = new MetadataCache(client);
+        if (cacheAction === 'status') {
+          result = metadataCache.status();
+        } else if (cacheAction === 'clear') {
+          result = { cleared: metadataCache.clear() };
+        } else {
+          var refreshed = metadataCache.snapshot(parsed.positional[1], !!(parsed.options.recursive || parsed.options.r), true);
+          result = { root: refreshed.root || '/', recursive: refreshed.recursive, entries: Object.keys(refreshed.entries).length };
+        }
+        
+        if (!parsed.options.summary) {
+          console.log(JSON.stringify(result));
+        } else if (cacheAction === 'status') {
+          console.log('Cache: ' + result.dir + '\n');
+          result.snapshots.forEach(function(snapshot) {
+            console.log(snapshot.root + (snapshot.recursive ? ' (recursive)' : '') + ': ' + snapshot.entries +
+              ' entries, updated ' + new Date(snapshot.updated).toLocaleString());
+          });
+          if (!result.snapshots.length) {
+            console.log('No cached folders');
+          }
+        } else if (cacheAction === 'clear') {
+          console.log('Removed ' + result.cleared + ' cached folder(s)');
+        } else {
+          console.log('Cached ' + result.entries + ' entries under ' + result.root);
+        }
+        break;
+      
+      case 'index':
+        var indexAction = parsed.positional[0];
+        if (['build', 'status', 'clear'].indexOf(indexAction) === -1) {
+          console.error('Error: index build|status|clear required');
+          console.error('Usage: dropbox index build [path] [--refresh]');
+          console.error('       dropbox index status');
+          console.error('       dropbox index clear');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var paperIndex = new PaperIndex(client);
+        if (indexAction === 'status') {
+          result = paperIndex.status();
+        } else if (indexAction === 'clear') {
+          result = { cleared: paperIndex.clear() };
+        } else {
+          result = paperIndex.build(parsed.positional[1] || '', {
+            refresh: !!parsed.options.refresh,
+            onDoc: parsed.options.summary ? function(docPath, action, err) {
+              console.log({ indexed: '+ ', removed: '- ', failed: '! ' }[action] + docPath + (err ? ': ' + err.message : ''));
+            } : null
+          });
+        }
+        
+        if (!parsed.options.summary) {
+          console.log(JSON.stringify(result));
+        } else if (indexAction === 'status') {
+          console.log('Index: ' + result.file);
+          console.log(result.docs + ' Paper docs, ' + result.terms + ' terms, ' + formatSize(result.bytes));
+          Object.keys(result.roots).forEach(function(root) {
+            console.log('  ' + root + ' (built ' + new Date(result.roots[root]).toLocaleString() + ')');
+          });
+        } else if (indexAction === 'clear') {
+          console.log('Removed ' + result.cleared + ' Paper doc(s) from the index');
+        } else {
+          console.log('\nIndexed ' + result.indexed + ', unchanged ' + result.unchanged + ', removed ' + result.removed +
+            ', failed ' + result.failed.length + ' under ' + result.root);
+        }
+        if (indexAction === 'build' && result.failed.length) {
+          process.exit(failureExitCode(result.failed));
+        }
+        break;
+      
+      case 'watch':
+        var watchPath = parsed.positional[0] || '';
+        var watchRecursive = !!(parsed.options.recursive || parsed.options.r);
+        var cursorFile = parsed.options['cursor-file'];
+        var savedCursor = null;
+        if (cursorFile && fs.existsSync(cursorFile)) {
+          var saved = JSON.parse(fs.readFileSync(cursorFile, 'utf8'));
+          // A cursor saved for another folder would report the wrong changes
+          if (saved.path === watchPath && !!saved.recursive === watchRecursive) {
+            savedCursor = saved.cursor;
+          }
+        }
+        
+        var watchSummary = parsed.options.summary;
+        var watchMarks = { added: '+', modified: '~', deleted: '-', reset: '!' };
+        client.watchFolder(watchPath, {
+          recursive: watchRecursive,
+          cursor: savedCursor,
+          once: !!parsed.options.once,
+          timeout: Math.min(480, Math.max(30, parseInt(parsed.options.timeout, 10) || 300)),
+          onEvent: function(event) {
+            console.log(watchSummary ? watchMarks[event.event] + ' ' + (event.path || '/') : JSON.stringify(event));
+          },
+          onCursor: function(cursor) {
+            if (cursorFile) {
+              // Write then rename, so a watch stopped mid-write keeps the
+              // previous cursor instead of a truncated file
+              var cursorTmp = cursorFile + '.' + process.pid + '.tmp';
+              fs.writeFileSync(cursorTmp, JSON.stringify({ path: watchPath, recursive: watchRecursive, cursor: cursor }));
+              fs.renameSync(cursorTmp, cursorFile);
+            }
+          }
+        });
+        break;
+      
+      case 'share':
+        var shareAction = parsed.positional[0];
+        var shareTarget = parsed.positional[1];
+        if (['create', 'list', 'update', 'revoke'].indexOf(shareAction) === -1 ||
+            (shareAction !== 'list' && !shareTarget)) {
+          console.error('Error: share create|list|update|revoke required');
+          console.error('Usage: dropbox share create <path> [--visibility team|public|password] [--expires 7d] [--password <pw>] [--allow-download false]');
+          console.error('       dropbox share list [path]');
+          console.error('       dropbox share update <url|path> [settings...] [--no-expiry] [--all]');
+          console.error('       dropbox share revoke <url|path> [--all]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var allowDownload = parsed.options['allow-download'];
+        var shareSettings = sharedLinkSettings({
+          visibility: parsed.options.visibility,
+          expires: parsed.options.expires,
+          password: parsed.options.password,
+          allowDownload: allowDownload === undefined ? undefined : allowDownload === true || /^(true|yes|1)$/i.test(allowDownload)
+        });
+        
+        // update and revoke take a link URL, or a path whose links are used
+        var shareUrls = [];
+        if (shareAction === 'update' || shareAction === 'revoke') {
+          if (/^https?:\/\//.test(shareTarget)) {
+            shareUrls = [shareTarget];
+          } else {
+            client.listSharedLinks(shareTarget, function(links) {
+              shareUrls = shareUrls.concat(links.map(function(link) { return link.url; }));
+            });
+          }
+          if (!shareUrls.length) {
+            console.error('Error: No shared links for ' + shareTarget);
+            process.exit(ERROR_TYPES.not_found.exitCode);
+          }
+          if (shareUrls.length > 1 && !parsed.options.all) {
+            console.error('Error: ' + shareTarget + ' has ' + shareUrls.length + ' shared links. Pass one URL, or --all to ' +
+              shareAction + ' every one:');
+            shareUrls.forEach(function(url) { console.error('  ' + url); });
+            process.exit(ERROR_TYPES.invalid_argument.exitCode);
+          }
+        }
+        
+        if (shareAction === 'create') {
+          result = client.createSharedLink(shareTarget, shareSettings);
+        } else if (shareAction === 'list') {
+          result = { links: [] };
+          client.listSharedLinks(shareTarget || null, function(links) {
+            result.links = result.links.concat(links);
+          });
+        } else if (shareAction === 'update') {
+          if (!Object.keys(shareSettings).length && !parsed.options['no-expiry']) {
+            console.error('Error: Nothing to update (use --visibility, --expires, --no-expiry, --password or --allow-download)');
+            process.exit(ERROR_TYPES.invalid_argument.exitCode);
+          }
+          result = { links: shareUrls.map(function(url) {
+            return client.modifySharedLink(url, shareSettings, parsed.options['no-expiry']);
+          }) };
+        } else {
+          shareUrls.forEach(function(url) { client.revokeSharedLink(url); });
+          result = { revoked: shareUrls };
+        }
+        
+        if (parsed.options.summary) {
+          if (result.revoked) {
+            result.revoked.forEach(function(url) { console.log('Revoked: ' + url); });
+          } else {
+            var shownLinks = result.links || [result];
+            shownLinks.forEach(function(link) { console.log(formatSharedLink(link)); });
+            if (!shownLinks.length) {
+              console.log('No shared links');
+            }
+          }
+        } else {
+          console.log(JSON.stringify(result));
+        }
+        break;
+      
       case 'download':
         var downloadPath = parsed.positional[0];
         if (!downloadPath) {
           console.error('Error: File path required');
-          process.exit(1);
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         
         var outputFile = parsed.options.output || parsed.options.o;
@@ -1308,8 +7276,10 @@ function main() {
         }
         
         if (outputFile) {
-          // Use proxy's _saveTo for efficient binary download
-          var savedTo = client.downloadFile(downloadPath, outputFile);
+          // Resumable download to disk, verified against the content_hash
+          var savedTo = client.downloadFile(downloadPath, outputFile, {
+            verify: !parsed.options['no-verify']
+          });
           console.log('Saved to ' + savedTo);
         } else {
           var downloadContent = client.downloadFile(downloadPath);
@@ -1317,20 +7287,75 @@ function main() {
         }
         break;
       
+      case 'thumbnail':
+      case 'preview':
+        var renderPath = parsed.positional[0];
+        if (!renderPath) {
+          console.error('Error: File path required');
+          console.error(parsed.command === 'thumbnail'
+            ? 'Usage: dropbox thumbnail <path> [--output <file|folder>] [--size w256h256] [--format jpeg|png] [--mode strict|bestfit|fitone_bestfit]'
+            : 'Usage: dropbox preview <path> [--output <file|folder>] [--rev <rev>]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        var renderOutput = parsed.options.output || parsed.options.o;
+        result = parsed.command === 'thumbnail'
+          ? client.getThumbnail(renderPath, renderOutput, {
+            size: parsed.options.size, format: parsed.options.format || parsed.options.f, mode: parsed.options.mode
+          })
+          : client.getPreview(renderPath, renderOutput, { rev: parsed.options.rev });
+        console.log('Saved to ' + result.saved_to);
+        break;
+      
+      case 'thumbnail-batch':
+        if (!parsed.positional.length) {
+          console.error('Error: At least one file path required');
+          console.error('Usage: dropbox thumbnail-batch <path...> [--output <dir>] [--size w256h256] [--format jpeg|png] [--mode <mode>]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        result = client.getThumbnailBatch(parsed.positional, parsed.options.output || parsed.options.o, {
+          size: parsed.options.size, format: parsed.options.format || parsed.options.f, mode: parsed.options.mode
+        });
+        
+        if (parsed.options.summary) {
+          result.entries.forEach(function(entry) {
+            console.log(entry.ok ? 'Saved: ' + entry.path + ' -> ' + entry.saved_to
+              : 'Failed: ' + entry.path + ' (' + entry.error + ')');
+          });
+          console.log('\n' + result.succeeded + ' succeeded, ' + result.failed + ' failed');
+        } else {
+          console.log(JSON.stringify(result));
+        }
+        if (result.failed > 0) {
+          process.exit(failureExitCode(result.entries.filter(function(entry) { return !entry.ok; })));
+        }
+        break;
+      
       case 'upload':
         var localFile = parsed.positional[0];
         var remotePath = parsed.positional[1];
         if (!localFile || !remotePath) {
           console.error('Error: Local file path and Dropbox destination path required');
           console.error('Usage: dropbox upload <localPath> <dropboxPath>');
-          process.exit(1);
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
         }
         if (!fs.existsSync(localFile)) {
           console.error('Error: Local file not found: ' + localFile);
-          process.exit(1);
+          process.exit(ERROR_TYPES.local_io.exitCode);
         }
         var uploadMode = parsed.options.mode || 'overwrite';
-        var uploadResult = client.uploadFile(localFile, remotePath, uploadMode);
+        var uploadOptions = {};
+        if (parsed.options['chunk-size']) {
+          uploadOptions.chunkSize = Math.round(parseFloat(parsed.options['chunk-size']) * 1024 * 1024);
+        }
+        if (!parsed.options['no-progress']) {
+          var uploadName = path.basename(localFile);
+          uploadOptions.onProgress = function(sent, total) {
+            var pct = Math.floor(sent * 100 / total);
+            process.stderr.write('\rUploading ' + uploadName + ': ' + pct + '% (' +
+              formatSize(sent) + ' of ' + formatSize(total) + ')' + (sent >= total ? '\n' : ''));
+          };
+        }
+        var uploadResult = client.uploadFile(localFile, remotePath, uploadMode, uploadOptions);
         if (parsed.options.summary) {
           console.log('Uploaded to ' + uploadResult.path_display + ' (' + uploadResult.size + ' bytes)');
         } else {
@@ -1341,23 +7366,259 @@ function main() {
         }
         break;
       
+      case 'mkdir':
+        if (parsed.positional.length === 0) {
+          console.error('Error: Folder path required');
+          console.error('Usage: dropbox mkdir <path> [path...]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var mkdirRename = !!parsed.options.autorename;
+        if (parsed.positional.length === 1) {
+          result = singleResult({ path: parsed.positional[0] },
+            client.createFolder(parsed.positional[0], mkdirRename));
+        } else {
+          result = client.createFolders(parsed.positional, mkdirRename);
+        }
+        printBatchResult(result, parsed.options.summary, 'Created');
+        break;
+      
+      case 'mv':
+      case 'cp':
+        if (parsed.positional.length < 2) {
+          console.error('Error: Source and destination paths required');
+          console.error('Usage: dropbox ' + parsed.command + ' <from> <to>');
+          console.error('       dropbox ' + parsed.command + ' <from> <from...> <toFolder>');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var isMove = parsed.command === 'mv';
+        var relocateRename = !!parsed.options.autorename;
+        var relocateTo = parsed.positional[parsed.positional.length - 1];
+        var relocateFrom = parsed.positional.slice(0, -1);
+        
+        if (relocateFrom.length === 1) {
+          var relocateResponse = isMove
+            ? client.movePath(relocateFrom[0], relocateTo, relocateRename)
+            : client.copyPath(relocateFrom[0], relocateTo, relocateRename);
+          result = singleResult({ from_path: relocateFrom[0], to_path: relocateTo }, relocateResponse);
+        } else {
+          // Several sources: move/copy each one into the destination folder
+          var relocations = relocateFrom.map(function(p) {
+            return { from_path: p, to_path: path.posix.join(relocateTo, path.posix.basename(p)) };
+          });
+          result = isMove
+            ? client.moveBatch(relocations, relocateRename)
+            : client.copyBatch(relocations, relocateRename);
+        }
+        printBatchResult(result, parsed.options.summary, isMove ? 'Moved' : 'Copied');
+        break;
+      
+      case 'rm':
+        if (parsed.positional.length === 0) {
+          console.error('Error: Path required');
+          console.error('Usage: dropbox rm <path> [path...]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        if (parsed.positional.length === 1) {
+          result = singleResult({ path: parsed.positional[0] }, client.deletePath(parsed.positional[0]));
+        } else {
+          result = client.deleteBatch(parsed.positional);
+        }
+        printBatchResult(result, parsed.options.summary, 'Deleted');
+        break;
+      
+      case 'auth':
+        var authAction = parsed.positional[0];
+        if (['login', 'status', 'revoke'].indexOf(authAction) === -1) {
+          console.error('Error: auth login|status|revoke required');
+          console.error('Usage: dropbox auth login [--app-key <key>] [--no-redirect | --code <code>] [--port <n>]');
+          console.error('       dropbox auth status');
+          console.error('       dropbox auth revoke');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        if (authAction === 'status') {
+          result = authStatus(client);
+          if (parsed.options.summary) {
+            console.log('Mode: ' + { proxy: 'PAVE proxy', direct: 'direct', none: 'none (no PAVE_PROXY_URL or DROPBOX_* token)' }[result.mode]);
+            console.log('Token: ' + (result.token ? 'available (' + result.source + ')' : 'not found'));
+            if (result.account) {
+              console.log('Account: ' + result.account.name + ' <' + result.account.email + '>' +
+                (result.account.team ? ' (' + result.account.team + ')' : ''));
+            } else if (result.error) {
+              console.log('Error: ' + result.error);
+            }
+            if (result.scopes) {
+              console.log('Scopes: ' + result.scopes.join(' '));
+            }
+            if (result.expires_at) {
+              console.log('Access token expires: ' + new Date(result.expires_at).toLocaleString());
+            }
+          } else {
+            console.log(JSON.stringify(result));
+          }
+          if (!result.valid) {
+            process.exit(ERROR_TYPES.auth_expired.exitCode);
+          }
+          break;
+        }
+        
+        if (authAction === 'revoke') {
+          client.request('/auth/token/revoke', null);
+          if (client.transport.forgetToken) {
+            client.transport.forgetToken();
+          }
+          result = { revoked: true, mode: client.transport.name };
+          if (parsed.options.summary) {
+            console.log('Token revoked. ' + (result.mode === 'proxy'
+              ? 'Re-authorize the dropbox token in PAVE to use the skill again.'
+              : 'Run auth login to get a new refresh token.'));
+          } else {
+            console.log(JSON.stringify(result));
+          }
+          break;
+        }
+        
+        var appKey = parsed.options['app-key'] || process.env.DROPBOX_APP_KEY;
+        if (!appKey) {
+          console.error('Error: App key required (--app-key or DROPBOX_APP_KEY)');
+          console.error('Find it in the Dropbox App Console: https://www.dropbox.com/developers/apps');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        var loginSummary = parsed.options.summary;
+        
+        if (parsed.options.code) {
+          var pending = readPrivateJson(pendingAuthFile());
+          if (!pending || pending.app_key !== appKey) {
+            console.error('Error: No login in progress for this app key');
+            console.error('Run: dropbox auth login --no-redirect first, then pass the code it gives you');
+            process.exit(ERROR_TYPES.invalid_argument.exitCode);
+          }
+          printLogin(exchangeAuthCode(appKey, String(parsed.options.code), pending), appKey, loginSummary);
+          fs.unlinkSync(pendingAuthFile());
+        } else if (parsed.options['no-redirect'] || !hasEventLoop()) {
+          // Dropbox shows the code instead of redirecting; paste it here or pass it with --code
+          if (!parsed.options['no-redirect']) {
+            console.error('This runtime cannot wait for the browser redirect, so the code has to be pasted.');
+          }
+          var pasteLogin = startAuthorization(appKey, null);
+          writePrivateJson(pendingAuthFile(), { app_key: appKey, verifier: pasteLogin.verifier });
+          console.error('Open this URL, allow access and copy the code Dropbox shows:\n\n  ' + pasteLogin.url + '\n');
+          if (!process.stdin.isTTY) {
+            console.error('Then run: dropbox auth login --code <code>');
+            break;
+          }
+          printLogin(exchangeAuthCode(appKey, promptLine('Code: '), pasteLogin), appKey, loginSummary);
+          fs.unlinkSync(pendingAuthFile());
+        } else {
+          var loginPort = parseInt(parsed.options.port, 10) || AUTH_LOOPBACK_PORT;
+          var loopbackLogin = startAuthorization(appKey, 'http://127.0.0.1:' + loginPort + '/callback');
+          console.error('Waiting for Dropbox authorization. If no browser opens, visit:\n\n  ' + loopbackLogin.url + '\n');
+          if (!parsed.options['no-browser']) {
+            openBrowser(loopbackLogin.url);
+          }
+          waitForAuthCode(loginPort, loopbackLogin.state, 5 * 60 * 1000, function(err, code) {
+            try {
+              if (err) throw err;
+              printLogin(exchangeAuthCode(appKey, code, loopbackLogin), appKey, loginSummary);
+            } catch (e) {
+              exitWithError(e, loginSummary);
+            }
+          });
+        }
+        break;
+      
+      case 'batch':
+        var manifestFile = parsed.positional[0];
+        if ((!manifestFile && !parsed.options.stdin) ||
+            (parsed.options['continue-on-error'] && parsed.options['stop-on-error'])) {
+          console.error('Error: Manifest file (or --stdin) required, with at most one of --continue-on-error and --stop-on-error');
+          console.error('Usage: dropbox batch <manifest.json|.yaml|.ndjson> [--continue-on-error]');
+          console.error('       cat ops.ndjson | dropbox batch --stdin');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        
+        var operations = parseManifest(fs.readFileSync(!manifestFile || manifestFile === '-' ? '/dev/stdin' : manifestFile, 'utf-8'));
+        var batchSummary = parsed.options.summary;
+        result = client.runBatch(operations, {
+          continueOnError: !!parsed.options['continue-on-error'],
+          onResult: function(item) {
+            if (!batchSummary) {
+              console.log(JSON.stringify(item));
+              return;
+            }
+            var op = operations[item.index] || {};
+            var label = (item.index + 1) + '. ' + item.op + ' ' +
+              (op.from ? op.from + ' -> ' + op.to : op.path || op.query || '');
+            if (item.skipped) {
+              console.log('Skipped: ' + label);
+            } else if (item.ok) {
+              console.log('OK: ' + label);
+            } else {
+              console.log('Failed: ' + label + ' (' + item.error + ')');
+            }
+          }
+        });
+        
+        if (batchSummary) {
+          console.log('\n' + result.succeeded + ' succeeded, ' + result.failed + ' failed' +
+            (result.skipped ? ', ' + result.skipped + ' skipped' : ''));
+        }
+        if (result.failed > 0) {
+          process.exit(failureExitCode(result.results.filter(function(item) { return !item.ok && !item.skipped; })));
+        }
+        break;
+      
+      case 'sync':
+        var syncDirection = parsed.positional[0];
+        var syncLocal = parsed.positional[1];
+        var syncRemote = parsed.positional[2];
+        if ((syncDirection !== 'push' && syncDirection !== 'pull') || !syncLocal || syncRemote === undefined) {
+          console.error('Error: Direction, local directory and Dropbox folder required');
+          console.error('Usage: dropbox sync push|pull <localDir> <dropboxFolder> [--delete] [--dry-run]');
+          process.exit(ERROR_TYPES.invalid_argument.exitCode);
+        }
+        if (syncDirection === 'push' && !(fs.existsSync(syncLocal) && fs.statSync(syncLocal).isDirectory())) {
+          console.error('Error: Local directory not found: ' + syncLocal);
+          process.exit(ERROR_TYPES.local_io.exitCode);
+        }
+        
+        var syncSummary = parsed.options.summary;
+        var syncVerbs = { created: 'Created', updated: 'Updated', deleted: 'Deleted', failed: 'Failed' };
+        result = client.sync(syncDirection, syncLocal, syncRemote, {
+          dryRun: !!parsed.options['dry-run'],
+          deleteExtraneous: !!parsed.options['delete'],
+          filter: pathFilter(parsed.options.include, parsed.options.exclude),
+          onAction: function(action, relPath, err) {
+            if (syncSummary) {
+              console.log(syncVerbs[action] + ': ' + relPath + (err ? ' (' + err.message + ')' : ''));
+            }
+          }
+        });
+        
+        if (syncSummary) {
+          console.log('\n' + (result.dry_run ? '[dry run] ' : '') +
+            result.created.length + ' created, ' + result.updated.length + ' updated, ' +
+            result.skipped.length + ' skipped, ' + result.deleted.length + ' deleted' +
+            (result.failed.length ? ', ' + result.failed.length + ' failed' : ''));
+        } else {
+          console.log(JSON.stringify(result));
+        }
+        if (result.failed.length) {
+          process.exit(failureExitCode(result.failed));
+        }
+        break;
+      
       default:
         console.error('Error: Unknown command "' + parsed.command + '"');
         console.error('\nRun: dropbox help');
-        process.exit(1);
+        process.exit(ERROR_TYPES.invalid_argument.exitCode);
     }
     
   } catch (error) {
-    if (parsed.options.summary) {
-      console.error('Dropbox Error: ' + error.message);
-    } else {
-      console.error(JSON.stringify({
-        error: error.message,
-        status: error.status,
-        data: error.data
-      }));
-    }
-    process.exit(1);
+    exitWithError(error, parsed.options.summary);
   }
 }
 